@@ -0,0 +1,98 @@
+/* Copyright (C) 2017 Francesco Banconi */
+
+/**
+  Benchmark the "frozen" validator on large deeply frozen properties, comparing
+  the first check, which walks the whole object graph, with subsequent checks,
+  which reuse the verification cache. The time spent validating the shape
+  without checking that the property is frozen is reported as a baseline.
+
+  Usage: npm run benchmark
+*/
+
+'use strict';
+
+const PropTypes = require('prop-types');
+
+const shapeup = require('./shapeup.js');
+
+// Define the number of items in the benchmarked property.
+const SIZE = 5000;
+// Define how many times each check is repeated.
+const RUNS = 20;
+
+const shapeType = shapeup.shape({
+  items: shapeup.arrayOf(shapeup.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    owner: shapeup.shape({
+      name: PropTypes.string.isRequired,
+      email: PropTypes.string.isRequired
+    }).isRequired
+  })).isRequired
+});
+const frozenType = shapeType.frozen;
+
+/**
+  Return a large object, deeply frozen without using shapeup, so that it is not
+  already verified as frozen.
+
+  @returns {Object} The deeply frozen object.
+*/
+function makeProp() {
+  const items = [];
+  for (let i = 0; i < SIZE; i++) {
+    items.push(Object.freeze({
+      id: i,
+      name: `item ${i}`,
+      tags: Object.freeze(['these', 'are', 'the', 'voyages']),
+      owner: Object.freeze({name: `owner ${i}`, email: `owner${i}@example`})
+    }));
+  }
+  return Object.freeze({items: Object.freeze(items)});
+}
+
+/**
+  Return the average time in milliseconds spent calling the given function.
+
+  @param {Function} func The function to time, called with the run index.
+  @returns {Number} The average time in milliseconds.
+*/
+function time(func) {
+  let total = 0;
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime();
+    func(i);
+    const elapsed = process.hrtime(start);
+    total += elapsed[0] * 1e3 + elapsed[1] / 1e6;
+  }
+  return total / RUNS;
+}
+
+function check(prop, propType) {
+  const err = shapeup.validate(prop, propType);
+  if (err) {
+    throw err;
+  }
+}
+
+// Warm up the JIT compiler before measuring.
+for (let i = 0; i < 5; i++) {
+  check(makeProp(), shapeType);
+  check(makeProp(), frozenType);
+}
+const props = [];
+for (let i = 0; i < RUNS; i++) {
+  props.push(makeProp());
+}
+const first = time(i => check(props[i], frozenType));
+const cached = time(() => check(props[0], frozenType));
+const baseline = time(() => check(props[0], shapeType));
+console.log(`frozen check of ${SIZE} items (average of ${RUNS} runs):`);
+console.log(`  shape only (baseline): ${baseline.toFixed(3)} ms`);
+console.log(`  first frozen check:    ${first.toFixed(3)} ms`);
+console.log(`  cached frozen check:   ${cached.toFixed(3)} ms`);
+console.log(
+  '  frozen check overhead: ' +
+  `${(first - baseline).toFixed(3)} ms -> ` +
+  `${Math.max(cached - baseline, 0).toFixed(3)} ms`);
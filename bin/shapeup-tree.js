@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/* Copyright (C) 2017 Francesco Banconi */
+
+/**
+  Analyze how shapes are propagated across the component tree described by
+  the given JSON configuration file, and report unsatisfiable reshapes and
+  unused fields as JSON.
+
+  Usage: shapeup-tree <config> [<output>]
+
+  The report is written to the given output file, or to the standard output
+  if not provided. The exit status is 1 if the tree cannot be analyzed or if
+  some reshapes cannot be satisfied.
+*/
+
+'use strict';
+
+const fs = require('fs');
+
+const tree = require('../tree.js');
+
+const USAGE = 'usage: shapeup-tree <config> [<output>]';
+
+function main(args) {
+  if (args.length < 1 || args.length > 2 || args[0] === '-h') {
+    console.error(USAGE);
+    return 2;
+  }
+  let report;
+  try {
+    report = tree.analyze(tree.load(args[0]));
+  } catch(err) {
+    console.error(`cannot analyze "${args[0]}": ${err.message}`);
+    return 1;
+  }
+  const output = JSON.stringify(report, null, 2) + '\n';
+  if (args.length === 2) {
+    fs.writeFileSync(args[1], output);
+  } else {
+    process.stdout.write(output);
+  }
+  return report.valid ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
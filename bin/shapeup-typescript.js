@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/* Copyright (C) 2017 Francesco Banconi */
+
+/**
+  Generate TypeScript declarations for the shapeup property types exported by
+  the given module.
+
+  Usage: shapeup-typescript <module> [<output>]
+
+  The declarations are written to the given output file, or to the standard
+  output if not provided.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const typescript = require('../typescript.js');
+
+const USAGE = 'usage: shapeup-typescript <module> [<output>]';
+
+function main(args) {
+  if (args.length < 1 || args.length > 2 || args[0] === '-h') {
+    console.error(USAGE);
+    return 2;
+  }
+  let exports;
+  try {
+    exports = require(path.resolve(args[0]));
+  } catch(err) {
+    console.error(`cannot load module "${args[0]}": ${err.message}`);
+    return 1;
+  }
+  if (typeof exports === 'function') {
+    // The module exports a single property type.
+    const name = path.basename(args[0], path.extname(args[0]));
+    const obj = {};
+    obj[name.replace(/\W+(\w)/g, (_, c) => c.toUpperCase())] = exports;
+    exports = obj;
+  }
+  const output = typescript.generate(exports);
+  if (args.length === 2) {
+    fs.writeFileSync(args[1], output);
+    return 0;
+  }
+  process.stdout.write(output);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
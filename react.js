@@ -0,0 +1,143 @@
+/* Copyright (C) 2017 Francesco Banconi */
+
+/**
+  This module integrates shapeup with React components, so that shaped props do
+  not need to be manually built in render methods.
+  It requires React 16.8 or later, as it is based on hooks.
+*/
+
+'use strict';
+
+const React = require('react');
+
+const shapeup = require('./shapeup.js');
+
+/**
+  Build a shaped object from the given source using "shapeup.fromShape", and
+  memoize it for the lifetime of the component. The object is only built again
+  when the source, the property type or the options change. Note that changes
+  to the source itself are not detected when the source is mutated in place,
+  so mutable sources should be replaced rather than modified.
+
+  @param {Object|Array} source The object from which to build the shape, or an
+    ordered list of sources, compared item by item.
+  @param {Function} propType The property type with the declared shape.
+  @param {Object} options Additional optional parameters, as accepted by
+    "shapeup.fromShape", compared field by field.
+  @returns {Object} The resulting object, or the source itself if it is null
+    or undefined.
+*/
+function useShape(source, propType, options=null) {
+  // Source objects are compared by identity, lists of sources item by item.
+  const stableSource = useStable(source, Array.isArray(source));
+  const stableOptions = useStable(options, true);
+  return React.useMemo(() => {
+    if (stableSource === null || stableSource === undefined) {
+      return stableSource;
+    }
+    return shapeup.fromShape(stableSource, propType, stableOptions);
+  }, [stableSource, propType, stableOptions]);
+}
+
+/**
+  Return a higher-order component building the shaped props of the wrapped
+  component from the props it receives.
+  For each prop in the given selectors, the source object is selected from the
+  received props, and the shaped object is built with "shapeup.fromShape" using
+  the property type declared in the "propTypes" of the wrapped component. As
+  "shapeup.fromShape" adds reshape functions, the resulting objects can be
+  further reshaped for subcomponents. Other props are passed through.
+
+  @param {Object} selectors An object mapping the names of the shaped props to
+    the functions selecting their source from the received props, or to the
+    names of the received props including the sources.
+  @param {Object} options Additional optional parameters passed to
+    "shapeup.fromShape".
+  @returns {Function} A function accepting the component to wrap, and
+    returning the wrapping component.
+  @throws {Error} If the wrapped component does not declare a shaped prop.
+*/
+function withShapes(selectors, options=null) {
+  const names = Object.keys(selectors);
+  return Component => {
+    const componentName =
+      Component.displayName || Component.name || 'Component';
+    const propTypes = Component.propTypes || {};
+    names.forEach(name => {
+      if (!propTypes[name]) {
+        throw new Error(
+          `cannot shape "${name}": the property type is not declared by ` +
+          `the component "${componentName}"`
+        );
+      }
+    });
+    const WithShapes = props => {
+      const shaped = {};
+      // The list of names never changes, so hooks are always called in the
+      // same order.
+      names.forEach(name => {
+        const selector = selectors[name];
+        const source = typeof selector === 'function' ?
+          selector(props) : props[selector];
+        shaped[name] = useShape(source, propTypes[name], options);
+      });
+      return React.createElement(
+        Component, Object.assign({}, props, shaped));
+    };
+    WithShapes.displayName = `withShapes(${componentName})`;
+    return WithShapes;
+  };
+}
+
+/**
+  Return the given value, or the value returned by a previous render if they
+  are equal, so that it can be used as a hook dependency.
+
+  @param {Any} value The value.
+  @param {Boolean} shallow Whether values are compared shallowly rather than
+    by identity.
+  @returns {Any} The stable value.
+*/
+function useStable(value, shallow) {
+  const ref = React.useRef(value);
+  const equal = shallow ?
+    shallowEqual(ref.current, value) : Object.is(ref.current, value);
+  if (!equal) {
+    ref.current = value;
+  }
+  return ref.current;
+}
+
+/**
+  Report whether the given values are shallowly equal: identical, or arrays or
+  plain objects including identical items.
+
+  @param {Any} a The first value.
+  @param {Any} b The second value.
+  @returns {Boolean} Whether the values are shallowly equal.
+*/
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (
+    typeof a !== 'object' || typeof b !== 'object' || !a || !b ||
+    Array.isArray(a) !== Array.isArray(b) ||
+    (!Array.isArray(a) && Object.getPrototypeOf(a) !== Object.prototype)
+  ) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(key => {
+    return Object.prototype.hasOwnProperty.call(b, key) &&
+      Object.is(a[key], b[key]);
+  });
+}
+
+module.exports = {
+  useShape: useShape,
+  withShapes: withShapes
+};
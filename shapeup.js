@@ -25,43 +25,309 @@ const PropTypes = require('prop-types');
       object. It is possible to use the "shapeup.deepFreeze" helper to achieve
       that goal. Alternatively, the object prepared and returned by
       "shapeup.fromShape" is deeply frozen by default.
+  Validation errors are reported as "shapeup.ShapeError" instances, including
+  all the violations found in the provided property. When a name is provided,
+  it is included in the messages of the violations found in the shape, so that
+  failures of shapes used by many components can be traced back to their
+  declaration. The location where the shape is declared is also recorded, and
+  it is exposed, along with the name, by "shapeup.describe".
 
   @param {Object} obj The object defining the shape.
+  @param {Object} options Additional optional parameters, including:
+    - name: the name of the shape, like "EntityApi", included in error
+      messages and in the violations of "shapeup.ShapeError". Shapes derived
+      with "shapeup.extend", "shapeup.pick", "shapeup.omit" and
+      "shapeup.merge" are unnamed;
+    - description: a human readable description of the shape, only exposed
+      by "shapeup.describe";
+    - keys: the policy used for inherited properties, applied to both
+      validation and "shapeup.fromShape" construction. It can be "lenient"
+      (the default: declared fields can be inherited from the prototype chain,
+      and only own properties are checked for extraneous fields), "own"
+      (declared fields must be own properties, inherited ones are considered
+      missing) or "inherited" (also properties inherited from prototypes,
+      except for Object.prototype and constructors, are checked for extraneous
+      fields);
+    - symbols: whether symbol keyed properties are taken into account. If
+      enabled, symbol keyed fields declared in the shape are validated and
+      included in objects built with "shapeup.fromShape", and undeclared
+      symbol keyed properties are rejected as extraneous. By default symbol
+      keys are ignored;
+    - rename: an object mapping field names in the shape to field names in
+      the source objects used by "shapeup.fromShape", for instance
+      {fetchAll: 'getAll'}. Validation is not affected;
+    - defaults: an object mapping field names to their default values, used
+      by "shapeup.fromShape" when the source object does not include the
+      field, like React's defaultProps. When validating, missing fields are
+      checked using their default value. Declared defaults are exposed by
+      "shapeup.describe". Plain objects, arrays, maps, sets and dates are
+      copied, so that built objects do not share them;
+    - freeze: the policy used to deeply freeze objects built by
+      "shapeup.fromShape" and to check them with the "frozen" variation, for
+      instance {typedArrays: 'reject'}. See "shapeup.deepFreeze" for the
+      available policies;
+    - bind: the policy used by "shapeup.fromShape" for binding functions to
+      the source object. It can be "auto" (the default: bind functions, except
+      for classes, arrow functions and already bound functions), "always"
+      (bind all functions), "never" (do not bind functions), "prototype" (only
+      bind functions inherited from the prototype chain of the source object,
+      like class methods) or an array of the names of the fields to bind. See
+      also "shapeup.asValue" for declaring single fields that must never be
+      bound;
+    - mode: how violations are handled when this shape is validated as a
+      property or built with "shapeup.fromShape", overriding the global mode
+      set with "shapeup.configure". See "shapeup.configure" for the available
+      modes.
   @returns {Function} The shape property type.
 */
-function shape(obj) {
-  const wrappedValidator = PropTypes.shape(obj);
-  const shapeFields = Object.keys(obj);
-
+function shape(obj, options=null) {
+  const declaration = new Declaration(obj, options);
   const propType = (props, propName, componentName, ...rest) => {
     const propValue = props[propName];
     if (!propValue) {
       return null;
     }
-    // Check that the object has the declared shape.
-    const err = wrappedValidator(props, propName, componentName, ...rest);
-    if (err) {
-      return err;
+    const violations = withoutTracking(() => checkShape(
+      declaration, propValue, rest[1] || propName, componentName, rest));
+    return violations.length ?
+      new ShapeError(nameViolations(violations, declaration)) : null;
+  };
+  return addVariants(propType, declaration);
+}
+
+/**
+  Declare a property type as an array of values of the given type.
+  This works like PropTypes.arrayOf, except that the resulting property type
+  can be introspected by shapeup: when the values are shapes, extraneous fields
+  are rejected in all the array items, and "shapeup.fromShape" builds each
+  item based on its shape.
+  As with shapes, the "isRequired" and "frozen" variations are supported.
+
+  @param {Function} type The property type of the array items.
+  @returns {Function} The array property type.
+*/
+function arrayOf(type) {
+  const propType = (props, propName, componentName, ...rest) => {
+    const propValue = props[propName];
+    if (isMissing(propType, propValue)) {
+      return null;
+    }
+    const path = rest[1] || propName;
+    if (!Array.isArray(propValue)) {
+      return new ShapeError([
+        typeViolation(path, componentName, 'array', propValue)
+      ]);
     }
-    // Check that no extraneous fields are present.
-    const fields = Object.getOwnPropertyNames(propValue).filter(field => {
-      return shapeFields.indexOf(field) === -1;
+    const violations = [];
+    propValue.forEach((item, index) => {
+      const itemPath = `${path}[${index}]`;
+      const err = type(
+        propValue, index, componentName, rest[0], itemPath, rest[2]);
+      violations.push(...toViolations(err, type, itemPath, item));
     });
-    if (fields.length) {
-      return new Error(
-        `invalid property "${propName}" provided to component ` +
-        `"${componentName}": the provided object includes properties that ` +
-        `are not declared in the shape: ${fields.join(', ')}`
-      );
+    return violations.length ? new ShapeError(violations) : null;
+  };
+  return addVariants(propType, new ArrayOf(type));
+}
+
+/**
+  Declare a property type as an object whose values are all of the given type.
+  This works like PropTypes.objectOf, except that the resulting property type
+  can be introspected by shapeup: when the values are shapes, extraneous fields
+  are rejected in all the values, and "shapeup.fromShape" builds each value
+  based on its shape.
+  As with shapes, the "isRequired" and "frozen" variations are supported.
+
+  @param {Function} type The property type of the object values.
+  @returns {Function} The object property type.
+*/
+function objectOf(type) {
+  const propType = (props, propName, componentName, ...rest) => {
+    const propValue = props[propName];
+    if (isMissing(propType, propValue)) {
+      return null;
     }
-    return null;
+    const path = rest[1] || propName;
+    if (typeof propValue !== 'object' || Array.isArray(propValue)) {
+      return new ShapeError([
+        typeViolation(path, componentName, 'object', propValue)
+      ]);
+    }
+    const violations = [];
+    Object.keys(propValue).forEach(key => {
+      const itemPath = `${path}.${key}`;
+      const err = type(
+        propValue, key, componentName, rest[0], itemPath, rest[2]);
+      violations.push(...toViolations(err, type, itemPath, propValue[key]));
+    });
+    return violations.length ? new ShapeError(violations) : null;
   };
+  return addVariants(propType, new ObjectOf(type));
+}
 
-  propType[SHAPE] = new Declaration(obj);
-  propType.frozen = frozenWrapper(propType);
-  propType.isRequired = isRequiredWrapper(propType);
-  propType.frozen.isRequired = isRequiredWrapper(propType.frozen);
-  return propType;
+/**
+  Declare a property type as a value of any of the given types.
+  This works like PropTypes.oneOfType, except that the resulting property type
+  can be introspected by shapeup: when building objects with
+  "shapeup.fromShape", the value is built based on the first matching shape.
+  As with shapes, the "isRequired" and "frozen" variations are supported.
+
+  @param {Array} types The list of allowed property types.
+  @returns {Function} The union property type.
+*/
+function oneOfType(types) {
+  const propType = (props, propName, componentName, ...rest) => {
+    const propValue = props[propName];
+    if (isMissing(propType, propValue)) {
+      return null;
+    }
+    const matches = types.some(type => {
+      return !type(props, propName, componentName, ...rest);
+    });
+    if (matches) {
+      return null;
+    }
+    const path = rest[1] || propName;
+    return new ShapeError([{
+      kind: 'type',
+      path: path,
+      expected: typeName(propType),
+      received: propValue,
+      message:
+        `invalid property "${path}" provided to component ` +
+        `"${componentName}": the value does not match any of the types ` +
+        'declared in the union'
+    }]);
+  };
+  return addVariants(propType, new OneOfType(types));
+}
+
+/**
+  Declare that values of the given property type must be included as they are
+  in objects built by "shapeup.fromShape". This is useful for fields including
+  callbacks or component classes, which must not be bound to the source
+  object regardless of the binding policy, or nested objects which must not be
+  reshaped. Validation is not affected.
+
+  @param {Function} type The property type of the values.
+  @returns {Function} The marked property type, also supporting the
+    "isRequired" variation if the given property type does.
+*/
+function asValue(type) {
+  const marked = (...args) => type(...args);
+  marked[VALUE] = type;
+  if (type.isRequired && type.isRequired !== type) {
+    marked.isRequired = asValue(type.isRequired);
+  }
+  return marked;
+}
+
+/**
+  Return a new shape property type extending the given one with the given
+  fields. Fields already declared in the shape are overridden.
+  The resulting shape has the same options (except for the name and the
+  description) and variation ("frozen" and "isRequired") of the given one.
+
+  @param {Function} propType The shape property type to extend.
+  @param {Object} fields The object defining the additional fields.
+  @returns {Function} The new shape property type.
+*/
+function extend(propType, fields) {
+  const declaration = getDeclaration(propType, 'extend');
+  const obj = {};
+  declaration.fields().forEach(key => {
+    obj[key] = declaration.shape[key];
+  });
+  Object.assign(obj, fields);
+  return withVariant(
+    shape(obj, unnamed(declaration.options())), variantOf(propType));
+}
+
+/**
+  Return a new shape property type only including the given fields of the
+  given shape property type.
+  The resulting shape has the same options (except for the name and the
+  description) and variation ("frozen" and "isRequired") of the given one.
+
+  @param {Function} propType The shape property type.
+  @param {Array} keys The names of the fields to include.
+  @returns {Function} The new shape property type.
+*/
+function pick(propType, keys) {
+  const declaration = getDeclaration(propType, 'pick');
+  checkDeclared(declaration, keys, 'pick field');
+  return derive(propType, keys);
+}
+
+/**
+  Return a new shape property type including all fields of the given shape
+  property type except for the given ones.
+  The resulting shape has the same options (except for the name and the
+  description) and variation ("frozen" and "isRequired") of the given one.
+
+  @param {Function} propType The shape property type.
+  @param {Array} keys The names of the fields to exclude.
+  @returns {Function} The new shape property type.
+*/
+function omit(propType, keys) {
+  const declaration = getDeclaration(propType, 'omit');
+  checkDeclared(declaration, keys, 'omit field');
+  return derive(propType, declaration.fields().filter(key => {
+    return keys.indexOf(key) === -1;
+  }));
+}
+
+/**
+  Return a new shape property type including the fields of both the given
+  shape property types. Fields declared in the second shape override the ones
+  in the first shape, and the same applies to options like renames and
+  defaults. Other options, like "keys", "bind" and the freeze policy, are
+  only overridden by the second shape if they are not set to their default
+  value there. The resulting shape is frozen if any of the given shapes is
+  frozen, and required if any of them is required.
+
+  @param {Function} propType1 The first shape property type.
+  @param {Function} propType2 The second shape property type.
+  @returns {Function} The new shape property type.
+*/
+function merge(propType1, propType2) {
+  const declaration1 = getDeclaration(propType1, 'merge');
+  const declaration2 = getDeclaration(propType2, 'merge');
+  const obj = {};
+  [declaration1, declaration2].forEach(declaration => {
+    declaration.fields().forEach(key => {
+      obj[key] = declaration.shape[key];
+    });
+  });
+  const options1 = declaration1.options();
+  const options2 = declaration2.options();
+  const options = unnamed(Object.assign({}, options1, {
+    rename: Object.assign({}, options1.rename, options2.rename),
+    defaults: Object.assign({}, options1.defaults, options2.defaults),
+    freeze: {}
+  }));
+  const defaults = {
+    keys: KEYS_POLICIES[0],
+    symbols: false,
+    bind: BIND_POLICIES[0],
+    mode: null
+  };
+  Object.keys(defaults).forEach(key => {
+    if (options2[key] !== defaults[key]) {
+      options[key] = options2[key];
+    }
+  });
+  Object.keys(FREEZE_POLICIES).forEach(key => {
+    const value = options2.freeze[key];
+    options.freeze[key] = value !== FREEZE_POLICIES[key][0] ?
+      value : options1.freeze[key];
+  });
+  const variant1 = variantOf(propType1);
+  const variant2 = variantOf(propType2);
+  return withVariant(shape(obj, options), {
+    frozen: variant1.frozen || variant2.frozen,
+    isRequired: variant1.isRequired || variant2.isRequired
+  });
 }
 
 /**
@@ -69,64 +335,225 @@ function shape(obj) {
   The resulting property is a deeply frozen object, with initially unbound
   methods bound to the provided object.
   All fields in the provided object that are not declared in the shape are not
-  included in the returned object.
+  included in the returned object. Fields not found in the provided object are
+  set to their default value if declared in the shape. Otherwise, optional
+  fields (for instance declared as PropTypes.string rather than
+  PropTypes.string.isRequired) are omitted, while missing required fields are
+  handled based on the mode, by default throwing an error.
   If the shape property type includes the special field "shapeup.reshape",
   then a reshape method is included in that field of the returned object,
   providing the ability to reshape from the object itself using a new shape
   property type.
 
-  @param {Object} obj The object from which to build the shape. This object is
-    assumed to include all properties declared in the shape, except for the
-    optionally declared "shapeup.reshape" property.
+  @param {Object|Array} obj The object from which to build the shape. This
+    object is expected to include all required properties declared in the
+    shape, except for the optionally declared "shapeup.reshape" property.
+    An ordered list of source objects can also be provided: in this case each
+    field is taken from the source providing it, and methods are bound to
+    that source. An error is thrown if a field is provided by more than one
+    source, unless its source is selected with the "sources" option.
   @param {Function} propType The property type with the declared shape
     (built using "shapeup.shape").
   @param {Object} options Additional optional parameters, including:
-    - mutable: whether to skip deeply freezing of the resulting object.
+    - mutable: whether to skip deeply freezing of the resulting object;
+    - sources: an object mapping field names to the source objects providing
+      them, for instance {user: userStore}. Fields not included in the mapping
+      are looked up in the provided source objects. Objects built from
+      multiple sources, or using this option, are never cached;
+    - rename: an object mapping field names in the shape to field names in
+      the provided object, for instance {fetchAll: 'getAll'}, used when the
+      provided object exposes a field with a different name. Methods are still
+      bound to the provided object. This mapping extends the one optionally
+      declared in the shape itself (see "shapeup.shape");
+    - bind: the policy used for binding functions to the provided object,
+      overriding the one declared in the shape (see "shapeup.shape"). Nested
+      shapes use their own policy;
+    - cache: whether to reuse a previously built object when building the
+      same shape from the same deeply frozen source object with the same
+      options (defaulting to true). This way the resulting objects are
+      referentially stable, which plays well with React.PureComponent and
+      React.memo. Source objects that are not deeply frozen, including the
+      ones holding maps, sets or typed arrays, and source objects providing
+      fields through getters (unless the "accessors" option is used) or
+      through prototypes that are not frozen, are never cached, as their
+      fields could change at any time. See also "shapeup.clearCache";
+    - accessors: whether to preserve accessor properties (getters) of the
+      provided object. When enabled, getters in the provided object, including
+      the ones defined in its prototype chain, are exposed as getters in the
+      resulting object that forward to the provided object, so that their
+      values are always current. The resulting object is still frozen, but the
+      values returned by getters are not, except for nested shapes;
+    - track: whether to record which fields of the resulting object are
+      accessed, in order to detect fields that are declared but never used.
+      This is meant to be used in development and tests only: the resulting
+      object and its nested shapes are wrapped in proxies recording field
+      accesses, except for the ones performed by shapeup validators. Objects
+      built by the reshape function of tracked objects are tracked as well.
+      See "shapeup.usageReport";
+    - guard: whether to wrap the resulting object in proxies throwing a
+      TypeError on any mutation, including mutating methods of arrays, maps,
+      sets and dates, whose internals cannot be protected by Object.freeze.
+      Error messages include the dotted path of the mutated value and the
+      shape name, which is the option itself if it is a string, or the name
+      declared in the shape. Objects built by the reshape function of guarded
+      objects are guarded as well. This is meant to be used in development,
+      as values not declared as shapes are copied in order to be guarded:
+      Map keys and Set values are not guarded, so that lookups still work,
+      and values that cannot be copied (like class instances) are guarded
+      without guarding their nested values;
+    - mode: how missing required fields are handled, overriding the mode of
+      the shape and the global one. See "shapeup.configure".
   @returns {Object} The resulting property, as a deeply frozen object.
+  @throws {ShapeError} If a required field is not found in the object, in the
+    "default" and "throw" modes.
+  @throws {Error} If a source is not an object, if the "guard" and "mutable"
+    options are both provided, if a field is provided by more than one source
+    object, or if the mode is not valid.
 */
 function fromShape(obj, propType, options=null) {
-  const declaration = propType[SHAPE];
-  if (!(declaration instanceof Declaration)) {
-    throw new Error('fromShape called with a non-shape property type');
+  const declaration = getDeclaration(propType, 'fromShape');
+  options = options || {};
+  if (options.mode) {
+    checkMode(options.mode);
   }
-  const shape = declaration.shape;
-  const instance = {};
-  const checker = {};
-  Object.keys(shape).forEach(key => {
-    const type = shape[key];
-    if (type[SHAPE] instanceof Reshape) {
-      // Add the reshape function to the resulting instance.
-      addReshape(instance, key);
-      return;
-    }
-    let value = obj[key];
-    if (value === undefined) {
-      // The object does not have the declared shape.
-      // An error will be returned by PropTypes.shape.
-      return;
-    }
-    if (type[SHAPE] instanceof Declaration) {
-      // This is a nested shape type.
-      instance[key] = fromShape(value, type);
-      return;
-    }
-    if (checker.toString.call(value) === '[object Function]') {
-      // This can be an unbound method: try to bind it.
-      value = value.bind(obj);
-    }
-    instance[key] = value;
+  const multiple = Array.isArray(obj) || !!options.sources;
+  const fieldSources = options.sources || {};
+  (Array.isArray(obj) ? obj : [obj]).concat(
+    Object.keys(fieldSources).map(key => fieldSources[key])
+  ).forEach(source => checkSource(source, declaration));
+  // Nested shapes are built using the mode of the outer one. The resolved
+  // mode is also part of the cache key, as it can change globally.
+  const buildOptions = Object.assign({}, options, {
+    mode: modeFor(declaration, options.mode)
   });
-  options = options || {};
+  const cacheable = (
+    !multiple &&
+    !options.mutable &&
+    options.cache !== false &&
+    typeof obj === 'object' &&
+    obj !== null &&
+    isDeeplyFrozen(obj) &&
+    resolvesStatically(
+      obj, declaration, Object.assign({}, declaration.rename, options.rename),
+      options)
+  );
+  if (cacheable) {
+    const instance = getCached(obj, propType, buildOptions);
+    if (instance) {
+      return instance;
+    }
+  }
+  if (options.rename) {
+    checkDeclared(declaration, Object.keys(options.rename), 'rename field');
+  }
+  if (options.bind) {
+    checkBindPolicy(declaration, options.bind);
+  }
+  if (options.guard && options.mutable) {
+    throw new Error('the "guard" and "mutable" options are incompatible');
+  }
+  const overrides = {
+    rename: Object.assign({}, declaration.rename, options.rename),
+    bind: options.bind
+  };
+  if (multiple) {
+    const sources = Array.isArray(obj) ? obj : [obj];
+    checkDeclared(
+      declaration, Object.keys(fieldSources), 'select the source of field');
+    overrides.owner = (key, sourceKey, path) => {
+      if (Object.prototype.hasOwnProperty.call(fieldSources, key)) {
+        return fieldSources[key];
+      }
+      return findOwner(sources, sourceKey, path, declaration);
+    };
+  }
+  let instance = buildShape(obj, declaration, '', buildOptions, overrides);
+  if (options.track) {
+    instance = trackShape(instance, declaration, options);
+  }
   if (options.mutable) {
     return instance;
   }
-  return deepFreeze(instance);
+  if (options.guard) {
+    const context = {
+      name: typeof options.guard === 'string' ?
+        options.guard : declaration.name,
+      guarded: new Map(),
+      policy: declaration.freeze,
+      reshapeOptions: {guard: options.guard, track: options.track}
+    };
+    instance = withoutTracking(() => {
+      return guardValue(instance, propType, '', context);
+    });
+  } else {
+    withoutTracking(() => deepFreeze(instance, declaration.freeze));
+  }
+  if (cacheable) {
+    setCached(obj, propType, buildOptions, instance);
+  }
+  return instance;
+}
+
+/**
+  Clear the cache of objects built by "shapeup.fromShape".
+  Objects built from deeply frozen sources are cached, so that building the
+  same shape from the same source returns the same object. The cache uses
+  weak references, so it does not prevent source objects from being garbage
+  collected, but it can still be useful to clear it, for instance in tests or
+  when the built objects are known to be no longer used.
+
+  @param {Object} obj The optional source object for which cached objects must
+    be removed. If not provided, the whole cache is cleared.
+*/
+function clearCache(obj=null) {
+  if (obj === null) {
+    cache = new WeakMap();
+    return;
+  }
+  cache.delete(obj);
+}
+
+/**
+  Return the usage report for objects built by "shapeup.fromShape" with the
+  "track" option, for instance to be dumped after a test run.
+  The report includes an entry for each tracked shape, with the following
+  fields:
+    - propType: the shape property type;
+    - fields: all the fields declared in the shape;
+    - accessed: the fields accessed in at least one tracked object;
+    - unused: the fields never accessed in any tracked object.
+  Nested shapes are reported separately.
+
+  @returns {Array} The usage report, with an entry for each tracked shape.
+*/
+function usageReport() {
+  const report = [];
+  usage.forEach((accessed, declaration) => {
+    const fields = declaration.fields();
+    report.push({
+      propType: declaration.propType,
+      fields: fields,
+      accessed: fields.filter(key => accessed.has(key)),
+      unused: fields.filter(key => !accessed.has(key))
+    });
+  });
+  return report;
+}
+
+/**
+  Clear the usage information recorded for tracked objects.
+  See "shapeup.usageReport".
+*/
+function clearUsage() {
+  usage = new Map();
 }
 
 /**
   Add the reshape function to the given instance (in place).
   The reshape operation will be applied to the instance itself, and will also
   include freezing the resulting object in case the input instance is frozen.
+  The reshape function accepts the property type and optionally the same
+  options accepted by "shapeup.fromShape", like "rename".
 
   @param {Object} instance The instance to be modified.
   @param {String} key The optional key used for the reshape function
@@ -134,13 +561,395 @@ function fromShape(obj, propType, options=null) {
   @return {Object} The modified instance.
 */
 function addReshape(instance, key='reshape') {
-  instance[key] = propType => {
+  instance[key] = (propType, options=null) => {
     const mutable = !Object.isFrozen(instance);
-    return fromShape(instance, propType, {mutable: mutable});
+    return fromShape(
+      instance, propType, Object.assign({mutable: mutable}, options));
   };
   return instance;
 }
 
+/**
+  Build a deeply frozen object satisfying the given shape, to be used as a
+  fixture in tests. Fields are populated walking the shape declaration:
+    - provided overrides are used as they are, except for plain objects
+      provided for nested shapes, which are used to override the fields of
+      the nested mock;
+    - declared defaults are used when available;
+    - functions are replaced by stubs recording their calls: the arguments of
+      each call are available as an array in the "calls" property of the stub;
+    - nested shapes are mocked recursively, and "shapeup.reshapeFunc" fields
+      are replaced by working reshape functions;
+    - placeholders are used for other values: the field path for strings,
+      zero for numbers, false for booleans, and empty arrays and objects for
+      collections.
+  Optional fields whose type cannot be mocked (like custom validators) are
+  omitted, and explicitly undefined overrides can be used to omit other
+  optional fields.
+
+  @param {Function} propType The property type with the declared shape.
+  @param {Object} overrides The optional values to use for some of the fields.
+  @returns {Object} The resulting mock, as a deeply frozen object.
+  @throws {Error} If an override is provided for an undeclared field, or if a
+    required field cannot be mocked and no override is provided for it.
+  @throws {ShapeError} If the resulting mock does not satisfy the shape, for
+    instance because an invalid override has been provided. This check is
+    skipped when prop-types validators are not available, as it happens when
+    NODE_ENV is "production".
+*/
+function mock(propType, overrides=null) {
+  const declaration = getDeclaration(propType, 'mock');
+  const instance = mockShape(declaration, overrides || {}, '');
+  deepFreeze(instance, declaration.freeze);
+  // The resulting mock cannot be checked when prop-types validators are not
+  // available, as in production builds.
+  return canValidate() ? assert(instance, propType, {name: 'mock'}) : instance;
+}
+
+/**
+  Configure how shapeup handles violations found when validating properties
+  and building objects with "shapeup.fromShape".
+  By default, shapeup validators return their errors to React, which logs them
+  as warnings: React deduplicates these warnings, and they are easily lost.
+  The available modes are:
+    - default: return validation errors to React, and throw errors for
+      missing fields when building objects;
+    - throw: throw validation errors. Note that React catches errors thrown by
+      property types and logs them as warnings, so this mode is mostly useful
+      with "shapeup.fromShape" and with validators called directly;
+    - report: call the reporter function with the error and a context object
+      including the "propType", the "componentName" (null when building
+      objects) and the "action", which is "validate" or "build". This is
+      useful for telemetry, or for failing tests on violations;
+    - log: log each error to the console, without deduplication;
+    - ignore: discard violations. Objects built by "shapeup.fromShape" just
+      omit missing required fields;
+    - off: skip checks entirely, which is meant for production builds:
+      validators do nothing, and "shapeup.fromShape" does not check required
+      fields.
+  Shapes can override the global mode with their "mode" option, and
+  "shapeup.fromShape" accepts a "mode" option too. The mode of the validated
+  or built shape also applies to the violations found in its nested shapes.
+  Values checked with "shapeup.validate" and "shapeup.assert" are not
+  affected by modes. Calling this function without a configuration restores
+  the default one.
+
+  @param {Object} options The configuration, including:
+    - mode: the global mode, "default" if not provided;
+    - reporter: the function called with errors in the "report" mode.
+  @returns {Object} The previous configuration, which can be provided again
+    to restore it.
+  @throws {Error} If the mode is not valid, or if the "report" mode is used
+    without a reporter function.
+*/
+function configure(options=null) {
+  options = options || {};
+  const mode = options.mode || 'default';
+  const reporter = options.reporter || null;
+  checkMode(mode);
+  if (reporter !== null && typeof reporter !== 'function') {
+    throw new Error('invalid reporter: a function must be provided');
+  }
+  if (mode === 'report' && !reporter) {
+    throw new Error('the "report" mode requires a reporter function');
+  }
+  const previous = settings;
+  settings = {mode: mode, reporter: reporter};
+  return previous;
+}
+
+/**
+  Validate the given value against the given property type.
+  This makes it possible to use shapes outside React, for instance for checking
+  API responses or application state. The full check is performed, including
+  nested shapes and frozen checks, without triggering prop-types warnings about
+  validators being called directly. Violations are always returned, regardless
+  of the mode configured with "shapeup.configure", including the "off" mode.
+  Validation is not available in production builds of prop-types, where
+  validators are replaced by stubs which cannot be called directly.
+
+  @param {Any} value The value to validate.
+  @param {Function} propType The property type, usually built using
+    "shapeup.shape", but any prop-types validator is accepted.
+  @param {Object} options Additional optional parameters, including:
+    - name: the name used for the value in error messages (defaulting to
+      "value");
+    - componentName: the component name used in error messages (defaulting to
+      "<<anonymous>>").
+  @returns {ShapeError} The validation error, or null if the value is valid.
+  @throws {Error} If prop-types validators are not available, as it happens
+    when NODE_ENV is "production".
+*/
+function validate(value, propType, options=null) {
+  options = options || {};
+  if (!canValidate()) {
+    throw new Error(
+      'cannot validate the value: prop-types validators are not available ' +
+      'in production builds'
+    );
+  }
+  const name = options.name || 'value';
+  const props = {};
+  props[name] = value;
+  let err;
+  // Shapeup validators called while checking are considered as nested, so
+  // that they return their errors regardless of the mode.
+  checking++;
+  try {
+    err = propType(
+      props, name, options.componentName || '<<anonymous>>', 'property', null,
+      getSecret());
+  } finally {
+    checking--;
+  }
+  const violations = toViolations(err, propType, name, value);
+  return violations.length ? new ShapeError(violations) : null;
+}
+
+/**
+  Validate the given value against the given property type, and throw an error
+  if the value is not valid. See "shapeup.validate" for a description of the
+  parameters.
+
+  @param {Any} value The value to validate.
+  @param {Function} propType The property type.
+  @param {Object} options Additional optional parameters, as described in
+    "shapeup.validate".
+  @returns {Any} The provided value, if valid.
+  @throws {ShapeError} If the value is not valid.
+  @throws {Error} If prop-types validators are not available, as it happens
+    when NODE_ENV is "production".
+*/
+function assert(value, propType, options=null) {
+  const err = validate(value, propType, options);
+  if (err) {
+    throw err;
+  }
+  return value;
+}
+
+/**
+  Describe the given property type.
+  This is useful for tooling, documentation generators and test factories, as
+  it exposes what is declared by shapes, including nested ones.
+  The resulting description is an object with the following fields:
+    - type: the type name, like "shape", "arrayOf", "objectOf", "oneOfType",
+      prop-types primitive names like "string" or "func", "oneOf" and "null"
+      for enumerations and null types built by "shapeup.fromJSONSchema", or
+      "custom" for unrecognized property types;
+    - propType: the property type itself;
+    - required: whether the property is required;
+    - frozen: whether the property must be deeply frozen;
+    - reshape: whether the property is a "shapeup.reshapeFunc" placeholder;
+    - value: whether the property type is wrapped by "shapeup.asValue", in
+      which case the other fields describe the wrapped type.
+  Shapes also include "options" (the shape options, like "name", "keys" and
+  "defaults"), "site" (the location where the shape has been declared, as a
+  "file:line:column" string, or null if it cannot be detected) and "fields",
+  an array with the description of each declared field, also including the
+  field "name" and, if declared, its "default" value. Collections built with
+  "shapeup.arrayOf" and "shapeup.objectOf" include the description of their
+  values in "items", unions built with "shapeup.oneOfType" include the
+  description of all allowed types in "types", and enumerations include the
+  allowed "values".
+
+  @param {Function} propType The property type to describe.
+  @returns {Object} The property type description.
+*/
+function describe(propType) {
+  if (propType[VALUE]) {
+    return Object.assign(describe(propType[VALUE]), {
+      propType: propType,
+      value: true
+    });
+  }
+  const declaration = propType[SHAPE];
+  const isShapeup = declaration && declaration.propType;
+  const description = {
+    type: typeName(propType),
+    propType: propType,
+    required: isRequiredType(propType),
+    frozen: isShapeup ? variantOf(propType).frozen : false,
+    reshape: declaration instanceof Reshape,
+    value: false
+  };
+  if (declaration instanceof Declaration) {
+    description.options = declaration.options();
+    description.site = declaration.site;
+    description.fields = declaration.fields().map(key => {
+      const field = Object.assign(
+        {name: key}, describe(declaration.shape[key]));
+      if (declaration.hasDefault(key)) {
+        field.default = declaration.defaultValue(key);
+      }
+      return field;
+    });
+  } else if (declaration instanceof ArrayOf ||
+             declaration instanceof ObjectOf) {
+    description.items = describe(declaration.type);
+  } else if (declaration instanceof OneOfType) {
+    description.types = declaration.types.map(describe);
+  } else if (declaration instanceof OneOf) {
+    description.values = declaration.values.slice();
+  }
+  return description;
+}
+
+/**
+  Compare the given shapes, reporting whether objects built from the source
+  shape provide what is needed for building the target shape, for instance
+  when reshaping the props of a component for a subcomponent. This way
+  incompatible shapes can be caught in unit tests rather than at render time.
+  Nested shapes, collections and unions are compared recursively, renames
+  declared in the target shape are taken into account, and reshape
+  placeholders are ignored, as they are added by "shapeup.fromShape".
+  The result is an object with the following fields:
+    - compatible: whether the source shape satisfies the target shape, which
+      is true when no fields are missing or mismatched;
+    - missing: the fields required by the target shape that are not declared
+      in the source shape, each one being an object with the dotted "path" of
+      the field and its "expected" type name. Required fields with a default
+      value in the target shape are not considered missing;
+    - mismatched: the fields declared with an incompatible type, each one
+      including the "path", the "expected" and "received" type names, and the
+      "reason", which is "type" if the types are not compatible, or "optional"
+      if the field is optional in the source shape but required in the target
+      shape;
+    - extra: the fields declared in the source shape but not used by the
+      target shape, each one including the "path" and the "received" type
+      name.
+  Types are compatible when every value satisfying the source type also
+  satisfies the target type: for instance, "shapeup.arrayOf" satisfies
+  PropTypes.array, but not the other way around. Custom validators cannot be
+  compared, and they are always considered compatible.
+  Paths of array items and object values end with "[]" and ".*".
+
+  @param {Function} sourceType The shape property type of the source objects.
+  @param {Function} targetType The shape property type to build.
+  @returns {Object} The comparison result.
+  @throws {Error} If any of the property types is not a shape.
+*/
+function diff(sourceType, targetType) {
+  getDeclaration(sourceType, 'diff');
+  getDeclaration(targetType, 'diff');
+  const result = {missing: [], mismatched: [], extra: []};
+  diffShapes(describe(sourceType), describe(targetType), '', result);
+  return {
+    compatible: !result.missing.length && !result.mismatched.length,
+    missing: result.missing,
+    mismatched: result.mismatched,
+    extra: result.extra
+  };
+}
+
+/**
+  Convert the given property type to a JSON Schema.
+  Shapes are converted to objects not allowing additional properties, and
+  collections and unions built with shapeup are converted recursively.
+  Prop-types primitives are mapped to the corresponding JSON Schema types,
+  while property types without a JSON representation (like functions or
+  custom validators) are converted to an empty schema, allowing any value.
+  Reshape placeholders are not included, as they are added by
+  "shapeup.fromShape" when building objects.
+
+  @param {Function} propType The property type.
+  @returns {Object} The resulting JSON Schema.
+*/
+function toJSONSchema(propType) {
+  return schemaFor(describe(propType));
+}
+
+/**
+  Build a shapeup property type from the given JSON Schema.
+  Objects declaring their properties are converted to exact shapes (with the
+  "isRequired" variation for required properties, and with defaults), objects
+  only declaring additional properties to "shapeup.objectOf", arrays declaring
+  their items to "shapeup.arrayOf", and "anyOf" or "oneOf" schemas to
+  "shapeup.oneOfType". JSON Schema primitive types and enumerations are mapped
+  to the corresponding prop-types. Nullable types, like {type: ["string",
+  "null"]}, are converted to unions also accepting null values, even when
+  required.
+
+  @param {Object} schema The JSON Schema.
+  @returns {Function} The resulting property type.
+  @throws {Error} If the schema includes unsupported features like references.
+*/
+function fromJSONSchema(schema) {
+  if (schema.$ref) {
+    throw new Error(`unsupported JSON Schema reference: ${schema.$ref}`);
+  }
+  if (schema.enum) {
+    return oneOf(schema.enum);
+  }
+  const union = schema.anyOf || schema.oneOf;
+  if (union) {
+    return oneOfType(union.map(fromJSONSchema));
+  }
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.map(type => {
+      return fromJSONSchema(Object.assign({}, schema, {type: type}));
+    });
+    return types.length === 1 ? types[0] : oneOfType(types);
+  }
+  switch (schema.type) {
+  case 'object': {
+    if (schema.properties) {
+      const required = schema.required || [];
+      const fields = {};
+      const defaults = {};
+      Object.keys(schema.properties).forEach(key => {
+        const property = schema.properties[key];
+        const type = fromJSONSchema(property);
+        fields[key] = required.indexOf(key) === -1 ? type : type.isRequired;
+        if (property.hasOwnProperty('default')) {
+          defaults[key] = property.default;
+        }
+      });
+      return shape(fields, {defaults: defaults});
+    }
+    if (typeof schema.additionalProperties === 'object') {
+      return objectOf(fromJSONSchema(schema.additionalProperties));
+    }
+    return PropTypes.object;
+  }
+  case 'array':
+    if (schema.items && !Array.isArray(schema.items)) {
+      return arrayOf(fromJSONSchema(schema.items));
+    }
+    return PropTypes.array;
+  case 'string':
+    return PropTypes.string;
+  case 'number':
+  case 'integer':
+    return PropTypes.number;
+  case 'boolean':
+    return PropTypes.bool;
+  case 'null':
+    return nullType;
+  default:
+    return PropTypes.any;
+  }
+}
+
+/**
+  Return a property type wrapping the prop-types "oneOf" one for the given
+  values, so that it can be described and converted back to a JSON Schema
+  enumeration. The prop-types validators are wrapped rather than marked, as
+  they are shared by all property types in production builds.
+
+  @param {Array} values The allowed values.
+  @returns {Function} The property type.
+*/
+function oneOf(values) {
+  const validator = PropTypes.oneOf(values);
+  const declaration = new OneOf(values);
+  const propType = (...args) => validator(...args);
+  propType.isRequired = (...args) => validator.isRequired(...args);
+  propType[SHAPE] = declaration;
+  propType.isRequired[SHAPE] = declaration;
+  return propType;
+}
+
 /**
   Return the isRequired wrapper for the given propType validator.
 
@@ -149,11 +958,18 @@ function addReshape(instance, key='reshape') {
 */
 function isRequiredWrapper(propType) {
   const isRequired = (props, propName, componentName, ...rest) => {
-    if (!props[propName]) {
-      return new Error(
-        `the property "${propName}" is marked as required for the component ` +
-        `"${componentName}" but "${props[propName]}" has been provided`
-      );
+    const propValue = props[propName];
+    if (isMissing(propType, propValue)) {
+      const path = rest[1] || propName;
+      return new ShapeError(nameViolations([{
+        kind: 'missing',
+        path: path,
+        expected: typeName(propType),
+        received: propValue,
+        message:
+          `the property "${path}" is marked as required for the component ` +
+          `"${componentName}" but "${propValue}" has been provided`
+      }], propType[SHAPE]));
     }
     return propType(props, propName, componentName, ...rest);
   };
@@ -169,32 +985,23 @@ function isRequiredWrapper(propType) {
   @return {Function} The frozen validator.
 */
 function frozenWrapper(propType) {
-  const checkFrozen = (obj, propName, componentName) => {
-    if (!Object.isFrozen(obj)) {
-      throw new Error(
-        `the property "${propName}" provided to component ` +
-        `"${componentName}" is not frozen`
-      );
-    }
-    forEachKeyValue(obj, (name, prop) => {
-      const type = typeof obj;
-      if (prop !== null && (type === 'object' || type === 'function')) {
-        checkFrozen(prop, `${propName}.${name}`, componentName);
-      }
-    });
-  };
-
+  const declaration = propType[SHAPE];
+  const policy = declaration instanceof Declaration ?
+    declaration.freeze : freezePolicy();
   const frozen = (props, propName, componentName, ...rest) => {
     const propValue = props[propName];
-    if (!propValue) {
+    if (isMissing(propType, propValue)) {
       return null;
     }
-    try {
-      checkFrozen(propValue, propName, componentName);
-    } catch (err) {
-      return err;
-    }
-    return propType(props, propName, componentName, ...rest);
+    const path = rest[1] || propName;
+    const violations = [];
+    withoutTracking(() => {
+      checkFrozen(propValue, path, componentName, violations, policy);
+    });
+    const err = propType(props, propName, componentName, ...rest);
+    violations.push(...toViolations(err, propType, path, propValue));
+    return violations.length ?
+      new ShapeError(nameViolations(violations, declaration)) : null;
   };
   frozen[SHAPE] = propType[SHAPE];
   return frozen;
@@ -202,77 +1009,2422 @@ function frozenWrapper(propType) {
 
 /**
   Deep freeze the given object and all its properties.
+  Values returned by accessor properties (getters) are not frozen. Cyclic
+  objects are supported. How maps, sets, typed arrays and DOM or React
+  elements are handled depends on the given policy. Frozen objects are
+  remembered as verified, so that checking them with the "frozen" variation
+  of shapes does not require walking them again.
 
   @param {Object} obj The object to freeze.
+  @param {Object} policy The optional freeze policy, including:
+    - collections: "deep" (the default) to also freeze the values included in
+      maps and sets, or "shallow" to only freeze maps and sets themselves.
+      Note that frozen maps and sets can still be modified using their
+      methods, see the "guard" option of "shapeup.fromShape";
+    - typedArrays: "ignore" (the default) to leave typed arrays and data views
+      as they are, as they cannot be frozen, or "reject" to throw an error
+      when they are found;
+    - elements: "skip" (the default) to leave DOM nodes and React elements as
+      they are, or "freeze" to freeze them like any other object.
   @returns {Object} The resulting deeply frozen object.
+  @throws {TypeError} If a typed array is found and the policy rejects them.
 */
-function deepFreeze(obj) {
-  Object.freeze(obj);
-  forEachKeyValue(obj, (name, prop) => {
-    const type = typeof obj;
-    if (
-      prop !== null &&
-      (type === 'object' || type === 'function') &&
-      !Object.isFrozen(prop)
-    ) {
-      deepFreeze(prop);
+function deepFreeze(obj, policy=null) {
+  policy = freezePolicy(policy);
+  const verified = verifiedFor(policy);
+  const walk = walkFreezable(obj, '', policy, verified, (value, path) => {
+    if (ArrayBuffer.isView(value)) {
+      if (policy.typedArrays === 'reject') {
+        throw new TypeError(
+          `cannot freeze "${path || 'object'}": typed arrays cannot be frozen`
+        );
+      }
+      return false;
     }
+    Object.freeze(value);
+    return true;
   });
+  markVerified(walk, verified);
   return obj;
 }
 
 /**
-  Loop over key/value pairs included in the given object, and call the provided
-  function passing the key and the value.
-  All non-accessible values are skipped.
+  Check that the given object is deeply frozen, adding a violation for each
+  value that is not frozen to the given list.
 
-  @param {Object} obj The object to introspect.
-  @param {Function} func The function to execute for each key/value pair in the
-    provided object, taking two arguments, the key and the value.
+  @param {Object} obj The object to check.
+  @param {String} path The dotted path of the object, used in error messages.
+  @param {String} componentName The name of the component being validated.
+  @param {Array} violations The list of violations to populate.
+  @param {Object} policy The freeze policy, see "shapeup.deepFreeze".
 */
-function forEachKeyValue(obj, func) {
-  Object.getOwnPropertyNames(obj).forEach(key => {
-    let value;
-    try {
-      value = obj[key];
-    } catch(_) {
-      // This must be a non-accessible value, like "arguments" in Safari.
-      return;
+function checkFrozen(obj, path, componentName, violations, policy) {
+  const violation = (value, path, reason) => {
+    violations.push({
+      kind: 'unfrozen',
+      path: path,
+      expected: 'frozen',
+      received: value,
+      message:
+        `the property "${path}" provided to component ` +
+        `"${componentName}" ${reason}`
+    });
+  };
+  const verified = verifiedFor(policy);
+  const count = violations.length;
+  const walk = walkFreezable(obj, path, policy, verified, (value, path) => {
+    if (ArrayBuffer.isView(value)) {
+      if (policy.typedArrays === 'reject') {
+        violation(value, path, 'is a typed array, which cannot be frozen');
+      }
+      return false;
     }
-    func(key, value);
+    if (!Object.isFrozen(value)) {
+      violation(value, path, 'is not frozen');
+    }
+    return true;
   });
+  if (violations.length === count) {
+    markVerified(walk, verified);
+  }
 }
 
-// Define the property name for the shape information.
-const SHAPE = '__shape__';
+/**
+  Walk the given object graph, calling the given function once for each object
+  or function found, including the given object itself. Values skipped by the
+  given freeze policy are ignored, as well as values already verified as deeply
+  frozen. The function receives the value and its dotted path, and returns
+  whether the walk must continue with the values included in the current one.
+
+  @param {Any} obj The root of the object graph.
+  @param {String} path The dotted path of the root.
+  @param {Object} policy The freeze policy, see "shapeup.deepFreeze".
+  @param {WeakSet} verified The values verified as deeply frozen.
+  @param {Function} func The function to call for each value.
+  @returns {Object} The walk result, including the set of "visited" values and
+    whether the contents of maps or sets have been walked ("collections").
+*/
+function walkFreezable(obj, path, policy, verified, func) {
+  const result = {visited: new Set(), collections: false};
+  const walk = (value, path) => {
+    if (
+      value === null ||
+      (typeof value !== 'object' && typeof value !== 'function') ||
+      result.visited.has(value) ||
+      verified.has(value) ||
+      (policy.elements === 'skip' && isElement(value))
+    ) {
+      return;
+    }
+    result.visited.add(value);
+    if (!func(value, path)) {
+      return;
+    }
+    const join = key => path ? `${path}.${String(key)}` : String(key);
+    forEachKeyValue(value, (key, prop) => walk(prop, join(key)));
+    if (policy.collections === 'deep') {
+      if (value instanceof Map) {
+        result.collections = true;
+        value.forEach((item, key) => walk(item, join(key)));
+      } else if (value instanceof Set) {
+        result.collections = true;
+        let index = 0;
+        value.forEach(item => walk(item, join(index++)));
+      }
+    }
+  };
+  walk(obj, path);
+  return result;
+}
 
 /**
-  Wrapper for the shape declaration, used for identifying a shape property.
+  Return the set of values verified as deeply frozen with the given policy.
+
+  @param {Object} policy The full freeze policy.
+  @returns {WeakSet} The verified values.
 */
-const Declaration = class Declaration {
-  constructor(shape) {
-    this.shape = shape;
+function verifiedFor(policy) {
+  const key = JSON.stringify(policy);
+  if (!verified.has(key)) {
+    verified.set(key, new WeakSet());
   }
-};
+  return verified.get(key);
+}
 
 /**
-  Identifier for the reshape property.
+  Mark all the values visited by a successful walk as deeply frozen, so that
+  they are not walked again.
+  Walks including the contents of maps and sets are not marked, as these
+  contents can change even if the collections are frozen.
+
+  @param {Object} walk The result of "walkFreezable".
+  @param {WeakSet} verified The values verified as deeply frozen.
 */
-const Reshape = class Reshape {};
+function markVerified(walk, verified) {
+  if (walk.collections) {
+    return;
+  }
+  walk.visited.forEach(value => verified.add(value));
+}
 
 /**
-  A required func property type wrapper only used as a placeholder for the
-  reshape function.
+  Report whether the given value is a DOM node or a React element.
+
+  @param {Object} value The value to check.
+  @returns {Boolean} Whether the value is an element.
+*/
+function isElement(value) {
+  const typeOf = safeGet(value, '$$typeof');
+  if (typeOf !== undefined && typeof safeGet(value, 'props') === 'object') {
+    // This is a React element.
+    return true;
+  }
+  return (
+    typeof safeGet(value, 'nodeType') === 'number' &&
+    typeof safeGet(value, 'nodeName') === 'string'
+  );
+}
+
+/**
+  Return the full freeze policy from the given partial one, after validating
+  it. See "shapeup.deepFreeze" for a description of the policy.
+
+  @param {Object} policy The optional partial policy.
+  @returns {Object} The full policy.
+  @throws {Error} If the policy is not valid.
+*/
+function freezePolicy(policy=null) {
+  const result = {};
+  Object.keys(policy || {}).forEach(key => {
+    const values = FREEZE_POLICIES[key];
+    if (!values) {
+      throw new Error(
+        `invalid freeze policy "${key}": ` +
+        `use one of ${Object.keys(FREEZE_POLICIES).join(', ')}`
+      );
+    }
+    if (values.indexOf(policy[key]) === -1) {
+      throw new Error(
+        `invalid freeze policy "${key}" value "${policy[key]}": ` +
+        `use one of ${values.join(', ')}`
+      );
+    }
+  });
+  Object.keys(FREEZE_POLICIES).forEach(key => {
+    const value = policy && policy[key];
+    result[key] = value || FREEZE_POLICIES[key][0];
+  });
+  return result;
+}
+
+/**
+  Loop over key/value pairs included in the given object, and call the provided
+  function passing the key and the value.
+  All non-accessible values are skipped. Accessor properties are skipped as
+  well, as their values are computed and not stored in the object.
+
+  @param {Object} obj The object to introspect.
+  @param {Function} func The function to execute for each key/value pair in the
+    provided object, taking two arguments, the key and the value.
+*/
+function forEachKeyValue(obj, func) {
+  Object.getOwnPropertyNames(obj).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (descriptor && !('value' in descriptor)) {
+      return;
+    }
+    let value;
+    try {
+      value = obj[key];
+    } catch(_) {
+      // This must be a non-accessible value, like "arguments" in Safari.
+      return;
+    }
+    func(key, value);
+  });
+}
+
+/**
+  Check that the given value has the given shape, and that no extraneous
+  fields are present.
+
+  @param {Declaration} declaration The shape declaration.
+  @param {Any} value The value to check.
+  @param {String} path The dotted path of the value, used in error messages.
+  @param {String} componentName The name of the component being validated.
+  @param {Array} rest The remaining arguments provided to the validator, in
+    the order used by prop-types: location, full property name and secret.
+  @returns {Array} The list of violations found, each one being an object as
+    described in "ShapeError".
+*/
+function checkShape(declaration, value, path, componentName, rest) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return [typeViolation(path, componentName, 'object', value)];
+  }
+  const shape = declaration.shape;
+  const shapeFields = declaration.fields();
+  const violations = [];
+  // Check that the object has the declared shape.
+  shapeFields.forEach(key => {
+    const type = shape[key];
+    if (!type) {
+      return;
+    }
+    const fieldPath = `${path}.${String(key)}`;
+    // Inherited fields are hidden to validators when only own properties are
+    // allowed.
+    let props = hasField(value, key, declaration) ? value : {};
+    if (props[key] === undefined && declaration.hasDefault(key)) {
+      // Missing fields are checked using their default value.
+      props = {};
+      props[key] = declaration.defaults[key];
+    }
+    const err = type(props, key, componentName, rest[0], fieldPath, rest[2]);
+    violations.push(...toViolations(err, type, fieldPath, props[key]));
+  });
+  // Check that no extraneous fields are present.
+  const fields = declaration.keysOf(value).filter(field => {
+    return shapeFields.indexOf(field) === -1;
+  });
+  if (fields.length) {
+    const message =
+      `invalid property "${path}" provided to component ` +
+      `"${componentName}": the provided object includes properties that ` +
+      `are not declared in the shape: ${fields.map(String).join(', ')}`;
+    fields.forEach(field => {
+      violations.push({
+        kind: 'extraneous',
+        path: `${path}.${String(field)}`,
+        expected: null,
+        received: safeGet(value, field),
+        message: message
+      });
+    });
+  }
+  return violations;
+}
+
+/**
+  Check that the given keys are all fields declared in the given shape
+  declaration.
+
+  @param {Declaration} declaration The shape declaration.
+  @param {Array} keys The keys to check, like the ones in a rename mapping.
+  @param {String} action The description of what the keys are used for,
+    included in error messages.
+  @throws {Error} If an undeclared field is found.
+*/
+function checkDeclared(declaration, keys, action) {
+  const fields = declaration.fields();
+  keys.forEach(key => {
+    if (fields.indexOf(key) === -1) {
+      throw new Error(
+        `cannot ${action} "${key}": the field is not declared in the shape`
+      );
+    }
+  });
+}
+
+/**
+  Report whether the given object provides the given field, based on the keys
+  policy of the given shape declaration.
+
+  @param {Object} obj The object to introspect.
+  @param {String|Symbol} key The field name.
+  @param {Declaration} declaration The shape declaration.
+  @returns {Boolean} Whether the field is provided, even if undefined.
+*/
+function hasField(obj, key, declaration) {
+  if (typeof obj !== 'object' && typeof obj !== 'function') {
+    // Primitive values do not provide fields.
+    return false;
+  }
+  if (declaration.keys === 'own') {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+  }
+  return key in obj;
+}
+
+/**
+  Check that the given source object can be used for building the given shape
+  declaration. Missing sources are allowed, as they just provide no fields.
+
+  @param {Any} source The source object.
+  @param {Declaration} declaration The shape declaration.
+  @throws {Error} If the source is a primitive value.
+*/
+function checkSource(source, declaration) {
+  if (
+    source === undefined ||
+    source === null ||
+    typeof source === 'object' ||
+    typeof source === 'function'
+  ) {
+    return;
+  }
+  const prefix = declaration.name ? `shape "${declaration.name}": ` : '';
+  throw new Error(
+    `${prefix}cannot build the shape: the source must be an object, but ` +
+    `${typeof source} "${String(source)}" has been provided`
+  );
+}
+
+/**
+  Return the object previously built from the given source, property type and
+  options, or undefined if not found in the cache.
+
+  @param {Object} obj The source object.
+  @param {Function} propType The property type with the declared shape.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Object} The cached object.
+*/
+function getCached(obj, propType, options) {
+  const byType = cache.get(obj);
+  const byOptions = byType && byType.get(propType);
+  return byOptions && byOptions.get(cacheKey(options));
+}
+
+/**
+  Store in the cache the object built from the given source, property type and
+  options.
+
+  @param {Object} obj The source object.
+  @param {Function} propType The property type with the declared shape.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @param {Object} instance The built object.
+*/
+function setCached(obj, propType, options, instance) {
+  let byType = cache.get(obj);
+  if (!byType) {
+    byType = new WeakMap();
+    cache.set(obj, byType);
+  }
+  let byOptions = byType.get(propType);
+  if (!byOptions) {
+    byOptions = new Map();
+    byType.set(propType, byOptions);
+  }
+  byOptions.set(cacheKey(options), instance);
+}
+
+/**
+  Return a string key representing the given "shapeup.fromShape" options.
+
+  @param {Object} options The options.
+  @returns {String} The key.
+*/
+function cacheKey(options) {
+  return JSON.stringify(Object.keys(options).sort().map(key => {
+    return [key, options[key]];
+  }));
+}
+
+/**
+  Report whether the given source object and all its nested values are
+  frozen, so that objects built from it can be safely cached. Maps, sets,
+  dates and typed arrays have internals that cannot be frozen, so objects
+  including them are never considered deeply frozen. Functions are not walked,
+  as their properties are not used when building objects.
+
+  @param {Object} obj The source object.
+  @returns {Boolean} Whether the object is deeply frozen.
+*/
+function isDeeplyFrozen(obj) {
+  let frozen = true;
+  const walk = withoutTracking(() => {
+    return walkFreezable(obj, '', CACHE_FREEZE_POLICY, deeplyFrozen, value => {
+      if (typeof value === 'function') {
+        return false;
+      }
+      if (
+        value instanceof Map ||
+        value instanceof Set ||
+        value instanceof Date ||
+        ArrayBuffer.isView(value) ||
+        !Object.isFrozen(value)
+      ) {
+        frozen = false;
+      }
+      return frozen;
+    });
+  });
+  if (frozen) {
+    walk.visited.forEach(value => deeplyFrozen.add(value));
+  }
+  return frozen;
+}
+
+/**
+  Report whether the fields declared in the given shape always resolve to the
+  same values in the given deeply frozen source object, so that objects built
+  from it can be safely cached. This is not the case when fields are provided
+  by getters, unless the "accessors" option is used, or when they are looked
+  up in prototypes that are not frozen. Nested shapes are checked as well.
+
+  @param {Object} obj The source object.
+  @param {Declaration} declaration The shape declaration.
+  @param {Object} rename The mapping of field names to source field names.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Boolean} Whether the declared fields always resolve to the same
+    values.
+*/
+function resolvesStatically(obj, declaration, rename, options) {
+  return declaration.fields().every(key => {
+    const type = declaration.shape[key];
+    if (type[SHAPE] instanceof Reshape) {
+      return true;
+    }
+    const sourceKey = Object.prototype.hasOwnProperty.call(rename, key) ?
+      rename[key] : key;
+    let current = obj;
+    let descriptor;
+    while (
+      current !== null &&
+      BUILTIN_PROTOTYPES.indexOf(current) === -1
+    ) {
+      if (current !== obj && !Object.isFrozen(current)) {
+        return false;
+      }
+      descriptor = Object.getOwnPropertyDescriptor(current, sourceKey);
+      if (descriptor || declaration.keys === 'own') {
+        break;
+      }
+      current = Object.getPrototypeOf(current);
+    }
+    if (!descriptor) {
+      return true;
+    }
+    if (!('value' in descriptor)) {
+      return !!options.accessors;
+    }
+    const value = descriptor.value;
+    if (
+      current !== obj &&
+      typeof value === 'object' &&
+      value !== null &&
+      !isDeeplyFrozen(value)
+    ) {
+      return false;
+    }
+    return resolvesValue(value, type, options);
+  });
+}
+
+/**
+  Report whether the nested shapes of the given deeply frozen value always
+  resolve to the same values. See "resolvesStatically".
+
+  @param {Any} value The value.
+  @param {Function} type The property type of the value.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Boolean} Whether the nested shapes always resolve to the same
+    values.
+*/
+function resolvesValue(value, type, options) {
+  const declaration = type[SHAPE];
+  if (type[VALUE] || typeof value !== 'object' || value === null) {
+    return true;
+  }
+  if (declaration instanceof Declaration) {
+    return resolvesStatically(value, declaration, declaration.rename, options);
+  }
+  if (declaration instanceof ArrayOf || declaration instanceof ObjectOf) {
+    return Object.keys(value).every(key => {
+      return resolvesValue(value[key], declaration.type, options);
+    });
+  }
+  if (declaration instanceof OneOfType) {
+    return declaration.types.every(member => {
+      return resolvesValue(value, member, options);
+    });
+  }
+  return true;
+}
+
+/**
+  Build an instance of the given shape declaration from the given object.
+  See "shapeup.fromShape" for a description of how the instance is built.
+
+  @param {Object} obj The object from which to build the shape.
+  @param {Declaration} declaration The shape declaration.
+  @param {String} path The dotted path of the object, used in error messages.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @param {Object} overrides Optional parameters only applied to the top level
+    shape, including:
+    - rename: the mapping between field names in the shape and field names in
+      the source object, defaulting to the mapping declared in the shape;
+    - bind: the policy used for binding functions, defaulting to the policy
+      declared in the shape;
+    - owner: a function returning the source object providing a field, given
+      the field name, its name in the source and its path, used when building
+      from multiple sources. The returned source is undefined when the field
+      is not found.
+  @returns {Object} The resulting mutable instance.
+  @throws {ShapeError} If a required field is not found in the object, in the
+    "default" and "throw" modes.
+*/
+function buildShape(obj, declaration, path, options, overrides=null) {
+  overrides = overrides || {};
+  const rename = overrides.rename || declaration.rename;
+  const bind = overrides.bind || declaration.bind;
+  const shape = declaration.shape;
+  const instance = {};
+  declaration.fields().forEach(key => {
+    const type = shape[key];
+    if (type[SHAPE] instanceof Reshape) {
+      // Add the reshape function to the resulting instance.
+      addReshape(instance, key);
+      return;
+    }
+    const fieldPath = path ? `${path}.${String(key)}` : String(key);
+    const sourceKey = Object.prototype.hasOwnProperty.call(rename, key) ?
+      rename[key] : key;
+    const owner = overrides.owner ?
+      overrides.owner(key, sourceKey, fieldPath) : obj;
+    const found = owner !== undefined && owner !== null &&
+      hasField(owner, sourceKey, declaration);
+    const value = found ? owner[sourceKey] : undefined;
+    if (value === undefined && declaration.hasDefault(key)) {
+      // Use the default value declared in the shape.
+      const defaultValue = declaration.defaultValue(key);
+      instance[key] = type[SHAPE] ?
+        buildValue(defaultValue, type, fieldPath, options) : defaultValue;
+      return;
+    }
+    if (value === undefined || (value === null && !isNullable(type))) {
+      if (options.mode !== 'off' && isRequiredType(type)) {
+        const source = sourceKey === key ?
+          '' : ` (renamed from "${String(sourceKey)}")`;
+        const problem = owner === undefined ?
+          'it has not been found in any of the sources' :
+          `"${value}" has been provided`;
+        const err = new ShapeError(nameViolations([{
+          kind: 'missing',
+          path: fieldPath,
+          expected: typeName(type),
+          received: value,
+          message:
+            `cannot build the shape: the field "${fieldPath}"${source} is ` +
+            `required but ${problem}`
+        }], declaration));
+        if (handleError(err, options.mode, {
+          propType: declaration.propType,
+          componentName: null,
+          action: 'build'
+        })) {
+          throw err;
+        }
+        // The error has been handled, so the field is omitted.
+        return;
+      }
+      if (value === undefined) {
+        // Optional fields not present in the object are just omitted.
+        return;
+      }
+    }
+    let policy = bind;
+    if (Array.isArray(bind)) {
+      policy = bind.indexOf(key) === -1 ? 'never' : 'always';
+    }
+    const binder = func => bindMethod(func, owner, sourceKey, policy);
+    const descriptor = options.accessors ?
+      findDescriptor(owner, sourceKey) : null;
+    if (descriptor && descriptor.get) {
+      // Forward to the source object so that the value is always current.
+      Object.defineProperty(instance, key, {
+        enumerable: true,
+        get: () => {
+          const value = buildField(
+            owner[sourceKey], type, binder, fieldPath, options);
+          return type[SHAPE] && !options.mutable ? deepFreeze(value) : value;
+        }
+      });
+      return;
+    }
+    instance[key] = buildField(value, type, binder, fieldPath, options);
+  });
+  return instance;
+}
+
+/**
+  Return the source object providing the given field, among the given ones.
+
+  @param {Array} sources The source objects.
+  @param {String|Symbol} key The field name in the source objects.
+  @param {String} path The dotted path of the field, used in error messages.
+  @param {Declaration} declaration The shape declaration.
+  @returns {Object} The source object, or undefined if the field is not
+    provided by any source.
+  @throws {Error} If the field is provided by more than one source.
+*/
+function findOwner(sources, key, path, declaration) {
+  const owners = [];
+  sources.forEach((source, index) => {
+    if (
+      source !== null &&
+      source !== undefined &&
+      hasField(source, key, declaration)
+    ) {
+      owners.push(index);
+    }
+  });
+  if (owners.length > 1) {
+    const prefix = declaration.name ? `shape "${declaration.name}": ` : '';
+    throw new Error(
+      `${prefix}cannot build the shape: the field "${path}" is ambiguous, ` +
+      'as it is provided by multiple sources ' +
+      `(at positions ${owners.join(', ')}): ` +
+      'use the "sources" option to select one'
+    );
+  }
+  return owners.length ? sources[owners[0]] : undefined;
+}
+
+/**
+  Build the value of a field included in a shape instance.
+
+  @param {Any} value The value of the field in the source object.
+  @param {Function} type The property type of the field.
+  @param {Function} binder The function used to bind methods to the source
+    object, returning the resulting function.
+  @param {String} path The dotted path of the field, used in error messages.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Any} The resulting mutable value.
+*/
+function buildField(value, type, binder, path, options) {
+  if (type[VALUE]) {
+    // The field is declared as a value to be included as it is.
+    return value;
+  }
+  if (type[SHAPE]) {
+    // This is a nested shape, or a collection or union of shapes.
+    return buildValue(value, type, path, options);
+  }
+  return binder(value);
+}
+
+/**
+  Bind the given function to the given source object if required by the given
+  binding policy.
+
+  @param {Any} func The function, or any other value returned as it is.
+  @param {Object} obj The source object.
+  @param {String|Symbol} key The name of the field in the source object.
+  @param {String} policy The binding policy: "auto", "always", "never" or
+    "prototype".
+  @returns {Any} The resulting function.
+*/
+function bindMethod(func, obj, key, policy) {
+  if (typeof func !== 'function') {
+    return func;
+  }
+  switch (policy) {
+  case 'always':
+    return func.bind(obj);
+  case 'prototype':
+    return Object.prototype.hasOwnProperty.call(obj, key) ?
+      func : func.bind(obj);
+  case 'auto':
+    return isMethod(func) ? func.bind(obj) : func;
+  default:
+    return func;
+  }
+}
+
+/**
+  Report whether the given function can be an unbound method, meaning that it
+  is not a class, an arrow function or an already bound function.
+
+  @param {Function} func The function to check.
+  @returns {Boolean} Whether the function can be bound.
+*/
+function isMethod(func) {
+  const source = Function.prototype.toString.call(func);
+  if (/^class\b/.test(source)) {
+    return false;
+  }
+  if (Object.prototype.hasOwnProperty.call(func, 'prototype')) {
+    // This is a regular function.
+    return true;
+  }
+  // Functions without a prototype are either bound functions, arrow functions
+  // or methods declared with the shorthand syntax (including async ones).
+  if (/^bound /.test(func.name)) {
+    return false;
+  }
+  const prefix = /^async\b\s*/.exec(source);
+  return !(
+    isArrowAt(source, 0) ||
+    (prefix && isArrowAt(source, prefix[0].length))
+  );
+}
+
+/**
+  Report whether the given function source includes an arrow function
+  parameter list (a single name or a parenthesized list) starting at the
+  given index. Parenthesized lists are scanned taking into account nested
+  parentheses, strings and comments, as in "(a = f(')')) => a".
+
+  @param {String} source The function source.
+  @param {Number} index The index where the parameters are expected.
+  @returns {Boolean} Whether the parameters are followed by an arrow.
+*/
+function isArrowAt(source, index) {
+  if (source[index] !== '(') {
+    const name = /^[\w$]+/.exec(source.slice(index));
+    return !!name && /^\s*=>/.test(source.slice(index + name[0].length));
+  }
+  let depth = 0;
+  for (let i = index; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\'' || char === '"' || char === '`') {
+      // Skip string literals, including escaped quotes.
+      i++;
+      while (i < source.length && source[i] !== char) {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+    } else if (source.startsWith('/*', i) || source.startsWith('//', i)) {
+      // Skip comments.
+      const end = source[i + 1] === '*' ?
+        source.indexOf('*/', i + 2) + 1 : source.indexOf('\n', i);
+      if (end <= 0) {
+        return false;
+      }
+      i = end;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (!depth) {
+        return /^\s*=>/.test(source.slice(i + 1));
+      }
+    }
+  }
+  return false;
+}
+
+/**
+  Check that the given binding policy is valid for the given shape
+  declaration.
+
+  @param {Declaration} declaration The shape declaration.
+  @param {String|Array} bind The binding policy.
+  @throws {Error} If the policy is not valid.
+*/
+function checkBindPolicy(declaration, bind) {
+  if (Array.isArray(bind)) {
+    checkDeclared(declaration, bind, 'bind field');
+    return;
+  }
+  if (BIND_POLICIES.indexOf(bind) === -1) {
+    throw new Error(
+      `invalid bind policy "${bind}": use one of ` +
+      `${BIND_POLICIES.join(', ')} or an array of field names`
+    );
+  }
+}
+
+/**
+  Return the descriptor of the given property, looking up the prototype chain
+  of the given object.
+
+  @param {Object} obj The object to introspect.
+  @param {String|Symbol} key The property name.
+  @returns {Object} The property descriptor, or undefined if not found.
+*/
+function findDescriptor(obj, key) {
+  let current = obj;
+  while (current !== null && current !== undefined) {
+    const descriptor = Object.getOwnPropertyDescriptor(current, key);
+    if (descriptor) {
+      return descriptor;
+    }
+    current = Object.getPrototypeOf(current);
+  }
+  return undefined;
+}
+
+/**
+  Build the given value based on the given property type, recursing through
+  nested shapes, collections and unions of shapes. Values of other property
+  types are returned as they are.
+
+  @param {Any} value The value to build.
+  @param {Function} type The property type of the value.
+  @param {String} path The dotted path of the value, used in error messages.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Any} The resulting mutable value.
+*/
+function buildValue(value, type, path, options) {
+  const declaration = type[SHAPE];
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (declaration instanceof Declaration) {
+    if (typeof value !== 'object') {
+      return value;
+    }
+    return buildShape(value, declaration, path, options);
+  }
+  if (declaration instanceof ArrayOf) {
+    if (!Array.isArray(value)) {
+      return value;
+    }
+    return value.map((item, index) => {
+      return buildValue(
+        item, declaration.type, `${path}[${index}]`, options);
+    });
+  }
+  if (declaration instanceof ObjectOf) {
+    if (typeof value !== 'object') {
+      return value;
+    }
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = buildValue(
+        value[key], declaration.type, `${path}.${key}`, options);
+    });
+    return result;
+  }
+  if (declaration instanceof OneOfType) {
+    const match = matchType(value, declaration.types);
+    return match ? buildValue(value, match, path, options) : value;
+  }
+  return value;
+}
+
+/**
+  Wrap the given shape instance in a proxy recording field accesses, also
+  wrapping nested shapes (in place).
+
+  @param {Object} instance The mutable instance built from the shape.
+  @param {Declaration} declaration The shape declaration.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Proxy} The tracked instance.
+*/
+function trackShape(instance, declaration, options) {
+  if (!usage.has(declaration)) {
+    usage.set(declaration, new Set());
+  }
+  const record = (target, key) => {
+    if (
+      !trackingPaused &&
+      Object.prototype.hasOwnProperty.call(declaration.shape, key)
+    ) {
+      // Record the access, unless performed by shapeup itself.
+      usage.get(declaration).add(key);
+    }
+  };
+  const tracked = new Proxy(instance, {
+    get: (target, key, receiver) => {
+      record(target, key);
+      return Reflect.get(target, key, receiver);
+    },
+    has: (target, key) => {
+      record(target, key);
+      return Reflect.has(target, key);
+    }
+  });
+  declaration.fields().forEach(key => {
+    const type = declaration.shape[key];
+    const descriptor = Object.getOwnPropertyDescriptor(instance, key);
+    if (!descriptor || !('value' in descriptor)) {
+      // Values returned by accessors are not tracked.
+      return;
+    }
+    if (type[SHAPE] instanceof Reshape) {
+      // Reshape from the tracked instance, so that fields passed down to
+      // subcomponents are recorded as accessed.
+      instance[key] = (propType, reshapeOptions=null) => {
+        return fromShape(tracked, propType, Object.assign({
+          mutable: !Object.isFrozen(tracked),
+          track: true
+        }, reshapeOptions));
+      };
+      return;
+    }
+    instance[key] = trackValue(instance[key], type, options);
+  });
+  return tracked;
+}
+
+/**
+  Track the nested shapes included in the given value (in place).
+
+  @param {Any} value The mutable value built from the given property type.
+  @param {Function} type The property type of the value.
+  @param {Object} options The options provided to "shapeup.fromShape".
+  @returns {Any} The resulting value.
+*/
+function trackValue(value, type, options) {
+  const declaration = type[SHAPE];
+  if (value === undefined || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (declaration instanceof Declaration) {
+    return trackShape(value, declaration, options);
+  }
+  if (declaration instanceof ArrayOf || declaration instanceof ObjectOf) {
+    Object.keys(value).forEach(key => {
+      value[key] = trackValue(value[key], declaration.type, options);
+    });
+    return value;
+  }
+  if (declaration instanceof OneOfType) {
+    const match = matchType(value, declaration.types);
+    return match ? trackValue(value, match, options) : value;
+  }
+  return value;
+}
+
+/**
+  Freeze and guard the given value built from the given property type,
+  recursing through nested shapes and collections of shapes, which are guarded
+  in place. Other values are copied, see "guardCopy".
+
+  @param {Any} value The mutable value built from the given property type.
+  @param {Function} type The property type of the value.
+  @param {String} path The dotted path of the value, used in error messages.
+  @param {Object} context The guard context, including the shape name, the
+    freeze policy, the already guarded values and the options used when
+    reshaping.
+  @returns {Any} The guarded value.
+*/
+function guardValue(value, type, path, context) {
+  const declaration = type && type[SHAPE];
+  if (value === null || typeof value !== 'object') {
+    return guardCopy(value, path, context);
+  }
+  const join = key => path ? `${path}.${String(key)}` : String(key);
+  if (declaration instanceof Declaration) {
+    declaration.fields().forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if (declaration.shape[key][SHAPE] instanceof Reshape) {
+        // Objects built by reshaping guarded objects are guarded as well.
+        const source = value;
+        value[key] = guardCopy((propType, options=null) => {
+          return fromShape(source, propType, Object.assign(
+            {}, context.reshapeOptions, options));
+        }, join(key), context);
+      } else if (descriptor && 'value' in descriptor) {
+        value[key] = guardValue(
+          value[key], declaration.shape[key], join(key), context);
+      }
+    });
+  } else if (
+    (declaration instanceof ArrayOf && Array.isArray(value)) ||
+    declaration instanceof ObjectOf
+  ) {
+    Object.keys(value).forEach(key => {
+      value[key] = guardValue(
+        value[key], declaration.type, join(key), context);
+    });
+  } else if (declaration instanceof OneOfType) {
+    const match = matchType(value, declaration.types);
+    return match ?
+      guardValue(value, match, path, context) :
+      guardCopy(value, path, context);
+  } else {
+    return guardCopy(value, path, context);
+  }
+  Object.freeze(value);
+  return guard(value, path, context);
+}
+
+/**
+  Return a deep copy of the given value, copying plain objects, arrays, maps,
+  sets and dates. Other values, like functions and class instances, are
+  returned as they are.
+
+  @param {Any} value The value to copy.
+  @returns {Any} The copy.
+*/
+function copyValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  switch (Object.prototype.toString.call(value)) {
+  case '[object Array]':
+    return value.map(copyValue);
+  case '[object Map]': {
+    const copy = new Map();
+    value.forEach((item, key) => copy.set(key, copyValue(item)));
+    return copy;
+  }
+  case '[object Set]':
+    return new Set(Array.from(value, copyValue));
+  case '[object Date]':
+    return new Date(value.getTime());
+  case '[object Object]':
+    if (prototype === Object.prototype || prototype === null) {
+      const copy = Object.create(prototype);
+      Object.keys(value).forEach(key => {
+        copy[key] = copyValue(value[key]);
+      });
+      return copy;
+    }
+    return value;
+  default:
+    return value;
+  }
+}
+
+/**
+  Return a guarded deep copy of the given value, which is not built by shapeup
+  and could be shared with the source object. Plain objects, arrays, maps,
+  sets and dates are copied. Other objects and functions are frozen and
+  guarded without being copied.
+
+  @param {Any} value The value to copy.
+  @param {String} path The dotted path of the value, used in error messages.
+  @param {Object} context The guard context.
+  @returns {Any} The guarded copy.
+*/
+function guardCopy(value, path, context) {
+  if (
+    value === null ||
+    (typeof value !== 'object' && typeof value !== 'function') ||
+    ArrayBuffer.isView(value)
+  ) {
+    // Typed arrays cannot be frozen.
+    return value;
+  }
+  if (context.guarded.has(value)) {
+    return context.guarded.get(value);
+  }
+  const join = key => path ? `${path}.${String(key)}` : String(key);
+  const prototype = Object.getPrototypeOf(value);
+  let copy;
+  switch (Object.prototype.toString.call(value)) {
+  case '[object Array]':
+    copy = [];
+    break;
+  case '[object Map]':
+    copy = new Map();
+    break;
+  case '[object Set]':
+    copy = new Set(value);
+    break;
+  case '[object Date]':
+    copy = new Date(value.getTime());
+    break;
+  case '[object Object]':
+    if (prototype === Object.prototype || prototype === null) {
+      copy = Object.create(prototype);
+      break;
+    }
+    // Falls through.
+  default: {
+    const guarded = guard(deepFreeze(value, context.policy), path, context);
+    context.guarded.set(value, guarded);
+    return guarded;
+  }
+  }
+  // Register the copy before filling it, as the value could be cyclic.
+  const guarded = guard(copy, path, context);
+  context.guarded.set(value, guarded);
+  if (copy instanceof Map) {
+    value.forEach((item, key) => {
+      copy.set(key, guardCopy(item, join(key), context));
+    });
+  } else if (!(copy instanceof Set) && !(copy instanceof Date)) {
+    Object.keys(value).forEach(key => {
+      copy[key] = guardCopy(value[key], join(key), context);
+    });
+  }
+  Object.freeze(copy);
+  return guarded;
+}
+
+/**
+  Wrap the given frozen value in a proxy throwing a TypeError on mutations.
+
+  @param {Object|Function} target The value to guard.
+  @param {String} path The dotted path of the value, used in error messages.
+  @param {Object} context The guard context.
+  @returns {Proxy} The guarded value.
+*/
+function guard(target, path, context) {
+  const fail = (action, key) => {
+    let keyPath = path;
+    if (key !== undefined) {
+      keyPath = path ? `${path}.${String(key)}` : String(key);
+    }
+    const subject = keyPath ? `"${keyPath}"` : 'the object';
+    const name = context.name ? ` "${context.name}"` : '';
+    throw new TypeError(
+      `cannot ${action} ${subject}: the object built from the shape${name} ` +
+      'is immutable'
+    );
+  };
+  const kind = Object.prototype.toString.call(target).slice(8, -1);
+  const mutators = MUTATORS[kind];
+  return new Proxy(target, {
+    get: (target, key, receiver) => {
+      if (!mutators) {
+        return Reflect.get(target, key, receiver);
+      }
+      const isMutator = kind === 'Date' ?
+        /^set/.test(String(key)) : mutators.indexOf(key) !== -1;
+      if (isMutator) {
+        return () => fail('call', `${String(key)}()`);
+      }
+      if (kind === 'Array') {
+        return Reflect.get(target, key, receiver);
+      }
+      // Methods of built-in collections and dates must be called on the
+      // original object, as they access its internal slots.
+      const value = Reflect.get(target, key, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set: (target, key) => fail('set', key),
+    deleteProperty: (target, key) => fail('delete', key),
+    defineProperty: (target, key, descriptor) => {
+      const current = Reflect.getOwnPropertyDescriptor(target, key);
+      const unchanged = current && Object.keys(descriptor).every(name => {
+        return Object.is(descriptor[name], current[name]);
+      });
+      // Redefining a property without changes is allowed, as this is what
+      // happens when freezing an already frozen object.
+      return unchanged ?
+        Reflect.defineProperty(target, key, descriptor) :
+        fail('define', key);
+    },
+    setPrototypeOf: () => fail('set the prototype of')
+  });
+}
+
+/**
+  Call the given function without recording field accesses of tracked objects.
+
+  @param {Function} func The function to call.
+  @returns {Any} The value returned by the function.
+*/
+function withoutTracking(func) {
+  trackingPaused++;
+  try {
+    return func();
+  } finally {
+    trackingPaused--;
+  }
+}
+
+/**
+  Return the first property type in the given list that matches the given
+  value. As the value is usually a source object for a shape, shapes whose only
+  violations are extraneous fields are also considered as a match, if no other
+  type strictly matches.
+
+  @param {Any} value The value to check.
+  @param {Array} types The list of property types.
+  @returns {Function} The matching property type, or null if none is found.
+*/
+function matchType(value, types) {
+  if (!canValidate()) {
+    return matchStructure(value, types);
+  }
+  let candidate = null;
+  for (let i = 0; i < types.length; i++) {
+    const err = validate(value, types[i]);
+    if (!err) {
+      return types[i];
+    }
+    const extraneous = err.violations.every(violation => {
+      return violation.kind === 'extraneous';
+    });
+    if (extraneous && !candidate) {
+      candidate = types[i];
+    }
+  }
+  return candidate;
+}
+
+/**
+  Return the first shapeup property type in the given list whose structure
+  fits the given value. This is used in place of "matchType" when prop-types
+  validators are not available, so that values are only matched against
+  shapes and collections by their kind.
+
+  @param {Any} value The value to check.
+  @param {Array} types The list of property types.
+  @returns {Function} The matching property type, or null if none is found.
+*/
+function matchStructure(value, types) {
+  if (typeof value !== 'object' || value === null) {
+    return null;
+  }
+  const isArray = Array.isArray(value);
+  for (let i = 0; i < types.length; i++) {
+    const declaration = types[i][SHAPE];
+    const fits = isArray ?
+      declaration instanceof ArrayOf :
+      declaration instanceof Declaration || declaration instanceof ObjectOf;
+    if (fits) {
+      return types[i];
+    }
+  }
+  return null;
+}
+
+/**
+  Build a mutable mock object for the given shape declaration.
+
+  @param {Declaration} declaration The shape declaration.
+  @param {Object} overrides The values to use for some of the fields.
+  @param {String} path The dotted path of the object, used in error messages.
+  @returns {Object} The resulting mutable mock.
+  @throws {Error} If an override is provided for an undeclared field, or if a
+    required field cannot be mocked.
+*/
+function mockShape(declaration, overrides, path) {
+  checkDeclared(declaration, Object.keys(overrides), 'mock field');
+  const instance = {};
+  declaration.fields().forEach(key => {
+    const type = declaration.shape[key];
+    if (type[SHAPE] instanceof Reshape) {
+      addReshape(instance, key);
+      return;
+    }
+    const fieldPath = path ? `${path}.${String(key)}` : String(key);
+    let value;
+    if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+      value = overrides[key];
+      if (
+        type[SHAPE] instanceof Declaration &&
+        Object.prototype.toString.call(value) === '[object Object]'
+      ) {
+        // Only override some of the fields in the nested mock.
+        value = mockShape(type[SHAPE], value, fieldPath);
+      }
+    } else if (declaration.hasDefault(key)) {
+      value = declaration.defaultValue(key);
+    } else {
+      value = placeholder(type, fieldPath);
+      if (value === undefined && isRequiredType(type)) {
+        throw new Error(
+          `cannot mock "${fieldPath}": the field is required but its type ` +
+          'is not supported, provide a value in the overrides'
+        );
+      }
+    }
+    if (value !== undefined) {
+      instance[key] = value;
+    }
+  });
+  return instance;
+}
+
+/**
+  Return a placeholder value for the given property type.
+
+  @param {Function} type The property type.
+  @param {String} path The dotted path of the value, used for strings and for
+    naming function stubs.
+  @returns {Any} The placeholder value, or undefined if the property type is
+    not supported.
+*/
+function placeholder(type, path) {
+  const declaration = type[SHAPE];
+  if (declaration instanceof Declaration) {
+    return mockShape(declaration, {}, path);
+  }
+  if (declaration instanceof ArrayOf) {
+    return [];
+  }
+  if (declaration instanceof ObjectOf) {
+    return {};
+  }
+  if (declaration instanceof OneOfType) {
+    return placeholder(declaration.types[0], path);
+  }
+  switch (typeName(type)) {
+  case 'any':
+  case 'object':
+    return {};
+  case 'array':
+    return [];
+  case 'bool':
+    return false;
+  case 'elementType':
+    return 'div';
+  case 'func':
+    return stub(path);
+  case 'node':
+  case 'string':
+    return path;
+  case 'number':
+    return 0;
+  case 'symbol':
+    return Symbol(path);
+  default:
+    return undefined;
+  }
+}
+
+/**
+  Return a function recording its calls, exposed by its "calls" property as an
+  array of argument lists. The property is an accessor, so that the stub can be
+  frozen while still recording calls.
+
+  @param {String} name The name of the stub.
+  @returns {Function} The stub function.
+*/
+function stub(name) {
+  const calls = [];
+  const func = (...args) => {
+    calls.push(args);
+  };
+  Object.defineProperty(func, 'name', {value: name});
+  Object.defineProperty(func, 'calls', {get: () => calls.slice()});
+  return func;
+}
+
+/**
+  Return the JSON Schema for the given property type description.
+
+  @param {Object} description The description returned by "shapeup.describe".
+  @returns {Object} The JSON Schema.
+*/
+function schemaFor(description) {
+  switch (description.type) {
+  case 'shape': {
+    const schema = {type: 'object', properties: {}};
+    const required = [];
+    description.fields.forEach(field => {
+      if (field.reshape || typeof field.name !== 'string') {
+        return;
+      }
+      const property = schemaFor(field);
+      if (field.hasOwnProperty('default')) {
+        property.default = field.default;
+      }
+      schema.properties[field.name] = property;
+      if (field.required) {
+        required.push(field.name);
+      }
+    });
+    if (required.length) {
+      schema.required = required;
+    }
+    schema.additionalProperties = false;
+    return schema;
+  }
+  case 'arrayOf':
+    return {type: 'array', items: schemaFor(description.items)};
+  case 'objectOf':
+    return {
+      type: 'object',
+      additionalProperties: schemaFor(description.items)
+    };
+  case 'oneOfType':
+    return unionSchema(description.types.map(schemaFor));
+  case 'oneOf':
+    return {enum: description.values};
+  case 'null':
+    return {type: 'null'};
+  case 'array':
+  case 'object':
+  case 'number':
+  case 'string':
+    return {type: description.type};
+  case 'bool':
+    return {type: 'boolean'};
+  default:
+    return {};
+  }
+}
+
+/**
+  Return the JSON Schema for a union of the given schemas. Nullable types are
+  represented by adding "null" to the list of types, when possible.
+
+  @param {Array} schemas The JSON Schemas of the types in the union.
+  @returns {Object} The JSON Schema.
+*/
+function unionSchema(schemas) {
+  const others = schemas.filter(schema => schema.type !== 'null');
+  const typed = others.every(schema => typeof schema.type === 'string');
+  if (others.length === schemas.length || !typed) {
+    return {anyOf: schemas};
+  }
+  if (others.length === 1) {
+    return Object.assign({}, others[0], {type: [others[0].type, 'null']});
+  }
+  const simple = others.every(schema => Object.keys(schema).length === 1);
+  if (!simple) {
+    return {anyOf: schemas};
+  }
+  return {type: others.map(schema => schema.type).concat('null')};
+}
+
+/**
+  Return the shape declaration of the given property type.
+
+  @param {Function} propType The shape property type.
+  @param {String} name The name of the calling function, used in error
+    messages.
+  @returns {Declaration} The shape declaration.
+  @throws {Error} If the property type is not a shape.
+*/
+function getDeclaration(propType, name) {
+  const declaration = propType && propType[SHAPE];
+  if (!(declaration instanceof Declaration)) {
+    throw new Error(`${name} called with a non-shape property type`);
+  }
+  return declaration;
+}
+
+/**
+  Return a new shape property type only including the given fields of the
+  given shape property type, preserving options and variation.
+
+  @param {Function} propType The shape property type.
+  @param {Array} keys The names of the fields to include.
+  @returns {Function} The new shape property type.
+*/
+function derive(propType, keys) {
+  const declaration = propType[SHAPE];
+  const obj = {};
+  keys.forEach(key => {
+    obj[key] = declaration.shape[key];
+  });
+  return withVariant(
+    shape(obj, unnamed(declaration.options(keys))), variantOf(propType));
+}
+
+/**
+  Return the given shape options without the name and description, which do
+  not apply to derived shapes.
+
+  @param {Object} options The shape options.
+  @returns {Object} The resulting options.
+*/
+function unnamed(options) {
+  return Object.assign({}, options, {name: null, description: null});
+}
+
+/**
+  Return the variation of the given property type.
+
+  @param {Function} propType The property type, built by shapeup.
+  @returns {Object} An object with the "frozen" and "isRequired" boolean
+    fields.
+*/
+function variantOf(propType) {
+  const base = propType[SHAPE].propType;
+  return {
+    frozen: propType === base.frozen || propType === base.frozen.isRequired,
+    isRequired: (
+      propType === base.isRequired || propType === base.frozen.isRequired)
+  };
+}
+
+/**
+  Return the given variation of the given property type.
+
+  @param {Function} propType The base property type, built by shapeup.
+  @param {Object} variant An object with the "frozen" and "isRequired"
+    boolean fields.
+  @returns {Function} The resulting property type.
+*/
+function withVariant(propType, variant) {
+  const result = variant.frozen ? propType.frozen : propType;
+  return variant.isRequired ? result.isRequired : result;
+}
+
+/**
+  Report whether the given property type requires a value to be provided.
+  This is detected from the declaration of shapeup types and from the
+  "isRequired" variants of prop-types ones, so that prop-types validators are
+  not run, as they cannot be called in production builds. Other property
+  types, including custom ones, are checked by validating an undefined value
+  when possible, and are otherwise considered optional.
+
+  @param {Function} type The property type.
+  @returns {Boolean} Whether the value is required.
+*/
+function isRequiredType(type) {
+  if (type[VALUE]) {
+    return isRequiredType(type[VALUE]);
+  }
+  const declaration = type[SHAPE];
+  if (declaration instanceof Reshape) {
+    return true;
+  }
+  if (declaration instanceof Null) {
+    return false;
+  }
+  if (declaration && declaration.propType) {
+    return variantOf(type).isRequired;
+  }
+  if (declaration instanceof OneOf) {
+    return type.isRequired === undefined;
+  }
+  if (typeof type.isRequired === 'function' && type.isRequired !== type) {
+    // This is the optional variant of a prop-types validator.
+    return false;
+  }
+  const primitive = PRIMITIVE_TYPES.some(name => {
+    const propType = PropTypes[name];
+    return (
+      propType && propType.isRequired !== propType &&
+      propType.isRequired === type
+    );
+  });
+  if (primitive) {
+    return true;
+  }
+  if (!canValidate()) {
+    return false;
+  }
+  try {
+    return validate(undefined, type) !== null;
+  } catch(_) {
+    // The validator does not support undefined values.
+    return false;
+  }
+}
+
+/**
+  Build a property type from the given validator, handling violations based
+  on the configured mode, and add the "frozen" and "isRequired" variations to
+  it, attaching the given declaration to all of them. The base property type
+  is stored in the declaration.
+
+  @param {Function} validator The property type validator.
+  @param {Object} declaration The shapeup declaration for the property type.
+  @returns {Function} The resulting property type.
+*/
+function addVariants(validator, declaration) {
+  validator[SHAPE] = declaration;
+  const propType = handled(validator, declaration);
+  declaration.propType = propType;
+  propType.frozen = handled(frozenWrapper(propType), declaration);
+  propType.isRequired = handled(isRequiredWrapper(propType), declaration);
+  propType.frozen.isRequired = handled(
+    isRequiredWrapper(propType.frozen), declaration);
+  return propType;
+}
+
+/**
+  Return a property type handling the violations found by the given validator
+  based on the configured mode. Only top level validations are handled:
+  validators called while checking an enclosing value, or by
+  "shapeup.validate", just return their errors.
+
+  @param {Function} validator The property type validator.
+  @param {Object} declaration The shapeup declaration for the property type.
+  @returns {Function} The resulting property type.
+*/
+function handled(validator, declaration) {
+  const propType = (props, propName, componentName, ...rest) => {
+    if (checking) {
+      return validator(props, propName, componentName, ...rest);
+    }
+    const mode = modeFor(declaration);
+    if (mode === 'off') {
+      return null;
+    }
+    let err;
+    checking++;
+    try {
+      err = validator(props, propName, componentName, ...rest);
+    } finally {
+      checking--;
+    }
+    if (!err) {
+      return null;
+    }
+    return handleError(err, mode, {
+      propType: propType,
+      componentName: componentName,
+      action: 'validate'
+    });
+  };
+  propType[SHAPE] = declaration;
+  return propType;
+}
+
+/**
+  Return the mode used for handling the violations of the given declaration.
+
+  @param {Object} declaration The shapeup declaration.
+  @param {String} mode The mode explicitly requested, if any.
+  @returns {String} The mode, as described in "shapeup.configure".
+*/
+function modeFor(declaration, mode=null) {
+  if (mode) {
+    return mode;
+  }
+  if (declaration instanceof Declaration && declaration.mode) {
+    return declaration.mode;
+  }
+  return settings.mode;
+}
+
+/**
+  Handle the given error based on the given mode.
+
+  @param {ShapeError} err The error.
+  @param {String} mode The mode, as described in "shapeup.configure".
+  @param {Object} context The context provided to the reporter.
+  @returns {ShapeError} The error, if it must be returned to the caller, or
+    null.
+  @throws {ShapeError} The error itself, in the "throw" mode.
+  @throws {Error} If the "report" mode is used but no reporter is configured.
+*/
+function handleError(err, mode, context) {
+  switch (mode) {
+  case 'throw':
+    throw err;
+  case 'report':
+    if (!settings.reporter) {
+      throw new Error(
+        'cannot report violations: no reporter has been configured');
+    }
+    settings.reporter(err, context);
+    return null;
+  case 'log':
+    console.error(err.message);
+    return null;
+  case 'ignore':
+  case 'off':
+    return null;
+  default:
+    return err;
+  }
+}
+
+/**
+  Check that the given mode is valid.
+
+  @param {String} mode The mode, as described in "shapeup.configure".
+  @throws {Error} If the mode is not valid.
+*/
+function checkMode(mode) {
+  if (MODES.indexOf(mode) === -1) {
+    throw new Error(`invalid mode "${mode}": use one of ${MODES.join(', ')}`);
+  }
+}
+
+/**
+  Report whether the given property value must be considered as not provided
+  for the given property type. Shapes historically treat all falsy values as
+  missing, while collections and unions only consider null and undefined.
+
+  @param {Function} propType The property type.
+  @param {Any} value The property value.
+  @returns {Boolean} Whether the value is missing.
+*/
+function isMissing(propType, value) {
+  if (propType[SHAPE] instanceof Declaration) {
+    return !value;
+  }
+  if (value === null && isNullable(propType)) {
+    return false;
+  }
+  return value === undefined || value === null;
+}
+
+/**
+  Report whether the given property type is a union accepting null values.
+
+  @param {Function} propType The property type.
+  @returns {Boolean} Whether null values are accepted.
+*/
+function isNullable(propType) {
+  const declaration = propType[SHAPE];
+  return (
+    declaration instanceof OneOfType &&
+    declaration.types.some(type => type[SHAPE] instanceof Null)
+  );
+}
+
+/**
+  Attribute the given violations to the given shape declaration, if it is
+  named. Violations already attributed to a nested named shape are left as
+  they are.
+
+  @param {Array} violations The violations, as described in "ShapeError".
+  @param {Any} declaration The shapeup declaration of the property type.
+  @returns {Array} The resulting violations, including the "shape" field and
+    the shape name in the message when the shape is named.
+*/
+function nameViolations(violations, declaration) {
+  const name = declaration instanceof Declaration && declaration.name;
+  if (!name) {
+    return violations;
+  }
+  return violations.map(violation => {
+    if (violation.shape) {
+      return violation;
+    }
+    return Object.assign({}, violation, {
+      shape: name,
+      message: `shape "${name}": ${violation.message}`
+    });
+  });
+}
+
+/**
+  Return the location where a shape is being declared, which is the first
+  stack frame outside this module.
+
+  @returns {String} The location as a "file:line:column" string, or null if
+    it cannot be detected, for instance when stack traces are not available.
+*/
+function declarationSite() {
+  const stack = new Error().stack || '';
+  const locations = [];
+  stack.split('\n').forEach(line => {
+    const match = /([^\s(@]+:\d+:\d+)\)?$/.exec(line.trim());
+    if (match) {
+      locations.push(match[1]);
+    }
+  });
+  if (!locations.length) {
+    return null;
+  }
+  const fileOf = location => location.replace(/:\d+:\d+$/, '');
+  // The first frame is this function, so it identifies this module.
+  const own = fileOf(locations[0]);
+  const site = locations.find(location => fileOf(location) !== own);
+  return site || null;
+}
+
+/**
+  Return a violation for the given value, which is not of the expected type.
+
+  @param {String} path The dotted path of the value.
+  @param {String} componentName The name of the component being validated.
+  @param {String} expected The expected type, "object" or "array".
+  @param {Any} value The provided value.
+  @returns {Object} The violation, as described in "ShapeError".
+*/
+function typeViolation(path, componentName, expected, value) {
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  return {
+    kind: 'type',
+    path: path,
+    expected: expected,
+    received: value,
+    message:
+      `invalid property "${path}" provided to component ` +
+      `"${componentName}": expected an ${expected} but a value of type ` +
+      `"${type}" has been provided`
+  };
+}
+
+/**
+  Convert the error returned by a property type validator to a list of
+  violations.
+
+  @param {Error} err The error returned by the validator, possibly null.
+  @param {Function} type The validator that returned the error.
+  @param {String} path The dotted path of the validated value.
+  @param {Any} value The validated value.
+  @returns {Array} The list of violations, empty if no error is provided.
+*/
+function toViolations(err, type, path, value) {
+  if (!err) {
+    return [];
+  }
+  if (err instanceof ShapeError) {
+    return err.violations;
+  }
+  return [{
+    kind: value === undefined || value === null ? 'missing' : 'type',
+    path: path,
+    expected: typeName(type),
+    received: value,
+    message: err.message
+  }];
+}
+
+/**
+  Compare the given shape descriptions, adding the differences to the given
+  result. See "shapeup.diff".
+
+  @param {Object} source The description of the source shape.
+  @param {Object} target The description of the target shape.
+  @param {String} path The dotted path of the shapes.
+  @param {Object} result The result to populate, including the "missing",
+    "mismatched" and "extra" lists.
+*/
+function diffShapes(source, target, path, result) {
+  const rename = target.options.rename;
+  const sourceFields = new Map();
+  source.fields.forEach(field => {
+    if (!field.reshape) {
+      sourceFields.set(field.name, field);
+    }
+  });
+  const used = [];
+  target.fields.forEach(field => {
+    if (field.reshape) {
+      return;
+    }
+    const fieldPath = path ?
+      `${path}.${String(field.name)}` : String(field.name);
+    const name = Object.prototype.hasOwnProperty.call(rename, field.name) ?
+      rename[field.name] : field.name;
+    const needed = field.required && !field.hasOwnProperty('default');
+    const sourceField = sourceFields.get(name);
+    if (!sourceField) {
+      if (needed) {
+        result.missing.push({path: fieldPath, expected: field.type});
+      }
+      return;
+    }
+    used.push(name);
+    if (
+      needed &&
+      !sourceField.required &&
+      !sourceField.hasOwnProperty('default')
+    ) {
+      result.mismatched.push({
+        path: fieldPath,
+        expected: field.type,
+        received: sourceField.type,
+        reason: 'optional'
+      });
+    }
+    diffTypes(sourceField, field, fieldPath, result);
+  });
+  sourceFields.forEach((field, name) => {
+    if (used.indexOf(name) === -1) {
+      result.extra.push({
+        path: path ? `${path}.${String(name)}` : String(name),
+        received: field.type
+      });
+    }
+  });
+}
+
+/**
+  Compare the given type descriptions, adding the differences to the given
+  result. See "shapeup.diff".
+
+  @param {Object} source The description of the source type.
+  @param {Object} target The description of the target type.
+  @param {String} path The dotted path of the values.
+  @param {Object} result The result to populate, including the "missing",
+    "mismatched" and "extra" lists.
+*/
+function diffTypes(source, target, path, result) {
+  const mismatch = () => {
+    result.mismatched.push({
+      path: path,
+      expected: target.type,
+      received: source.type,
+      reason: 'type'
+    });
+  };
+  if (target.type === 'oneOfType' || source.type === 'oneOfType') {
+    // Each type allowed by the source must satisfy the target.
+    const sources = source.type === 'oneOfType' ? source.types : [source];
+    const targets = target.type === 'oneOfType' ? target.types : [target];
+    const satisfied = sources.every(item => {
+      return targets.some(type => isCompatible(item, type));
+    });
+    if (!satisfied) {
+      mismatch();
+    }
+    return;
+  }
+  if (source.type !== target.type) {
+    if (!acceptsType(target.type, source.type)) {
+      mismatch();
+    }
+    return;
+  }
+  if (source.type === 'shape') {
+    diffShapes(source, target, path, result);
+  } else if (source.type === 'arrayOf') {
+    diffTypes(source.items, target.items, `${path}[]`, result);
+  } else if (source.type === 'objectOf') {
+    diffTypes(source.items, target.items, `${path}.*`, result);
+  }
+}
+
+/**
+  Report whether values of the given source type satisfy the given target
+  type, including their nested fields.
+
+  @param {Object} source The description of the source type.
+  @param {Object} target The description of the target type.
+  @returns {Boolean} Whether the types are compatible.
+*/
+function isCompatible(source, target) {
+  const result = {missing: [], mismatched: [], extra: []};
+  diffTypes(source, target, '', result);
+  return !result.missing.length && !result.mismatched.length;
+}
+
+/**
+  Report whether values of the given type are accepted by the given expected
+  type, based on their type names.
+
+  @param {String} expected The name of the expected type.
+  @param {String} received The name of the received type.
+  @returns {Boolean} Whether the received type is accepted.
+*/
+function acceptsType(expected, received) {
+  if (
+    expected === received ||
+    expected === 'any' ||
+    expected === 'custom' ||
+    received === 'custom'
+  ) {
+    return true;
+  }
+  const accepted = COMPATIBLE_TYPES[expected] || [];
+  return accepted.indexOf(received) !== -1;
+}
+
+/**
+  Return the name of the type validated by the given property type, for
+  instance "string" for both PropTypes.string and PropTypes.string.isRequired.
+
+  @param {Function} type The property type.
+  @returns {String} The type name, "shape" for shapeup shapes, or "custom" if
+    the property type is not recognized.
+*/
+function typeName(type) {
+  if (type[VALUE]) {
+    return typeName(type[VALUE]);
+  }
+  const declaration = type[SHAPE];
+  if (declaration instanceof Declaration) {
+    return 'shape';
+  }
+  if (declaration instanceof Reshape) {
+    return 'func';
+  }
+  if (declaration instanceof ArrayOf) {
+    return 'arrayOf';
+  }
+  if (declaration instanceof ObjectOf) {
+    return 'objectOf';
+  }
+  if (declaration instanceof OneOfType) {
+    return 'oneOfType';
+  }
+  if (declaration instanceof OneOf) {
+    return 'oneOf';
+  }
+  if (declaration instanceof Null) {
+    return 'null';
+  }
+  for (let i = 0; i < PRIMITIVE_TYPES.length; i++) {
+    const primitive = PropTypes[PRIMITIVE_TYPES[i]];
+    if (primitive && (type === primitive || type === primitive.isRequired)) {
+      return PRIMITIVE_TYPES[i];
+    }
+  }
+  return 'custom';
+}
+
+/**
+  Return the value of the given key in the given object, or undefined if the
+  value is not accessible.
+
+  @param {Object} obj The object to introspect.
+  @param {String} key The property name.
+  @returns {Any} The property value.
+*/
+function safeGet(obj, key) {
+  try {
+    return obj[key];
+  } catch(_) {
+    // This must be a non-accessible value, like "arguments" in Safari.
+    return undefined;
+  }
+}
+
+/**
+  Return the secret value that prop-types validators expect as last argument
+  when they are not called directly. The secret is not exposed by prop-types,
+  so it is retrieved by running a fake validator with PropTypes.checkPropTypes.
+
+  @returns {Any} The prop-types secret, or undefined if it cannot be retrieved,
+    as it happens in production builds, where checkPropTypes does nothing.
+*/
+function getSecret() {
+  if (propTypesSecret === undefined) {
+    const propTypes = {
+      secret: (...args) => {
+        propTypesSecret = args[5];
+        return null;
+      }
+    };
+    PropTypes.checkPropTypes(propTypes, {}, 'property', 'shapeup');
+  }
+  return propTypesSecret;
+}
+
+/**
+  Report whether prop-types validators can be called. In production builds
+  prop-types replaces validators with stubs throwing errors when called
+  directly, and the secret required for calling them is not available.
+
+  @returns {Boolean} Whether validators can be called.
+*/
+function canValidate() {
+  return getSecret() !== undefined;
+}
+
+// Store the prop-types secret, lazily retrieved by getSecret.
+let propTypesSecret;
+
+// Store objects built by fromShape, keyed by source object, property type and
+// options.
+let cache = new WeakMap();
+
+// Store the fields accessed in tracked objects, by shape declaration.
+let usage = new Map();
+
+// Count the nested operations during which field accesses are not recorded.
+let trackingPaused = 0;
+
+// Store the configuration for handling violations, see "shapeup.configure".
+let settings = {mode: 'default', reporter: null};
+
+// Count the validations in progress, so that nested validators do not handle
+// their own errors.
+let checking = 0;
+
+// Store the values verified as deeply frozen, by freeze policy. As frozen
+// values cannot be unfrozen, the frozen check can skip them.
+const verified = new Map();
+
+// Store the source objects verified as deeply frozen, and therefore cacheable.
+const deeplyFrozen = new WeakSet();
+
+// Define the property name for the shape information.
+const SHAPE = '__shape__';
+
+// Define the property name for the type wrapped by "shapeup.asValue".
+const VALUE = '__value__';
+
+// Define the mutating methods of built-in objects rejected by guarded values.
+// All the methods whose names start with "set" are rejected for dates.
+const MUTATORS = {
+  Array: [
+    'copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice',
+    'unshift'
+  ],
+  Date: [],
+  Map: ['clear', 'delete', 'set'],
+  Set: ['add', 'clear', 'delete'],
+  WeakMap: ['delete', 'set'],
+  WeakSet: ['add', 'delete']
+};
+
+/**
+  Wrapper for the shape declaration, used for identifying a shape property.
+  The declaration also stores the shape options, as described in
+  "shapeup.shape".
+*/
+const Declaration = class Declaration {
+  constructor(shape, options) {
+    options = options || {};
+    const keys = options.keys || 'lenient';
+    if (KEYS_POLICIES.indexOf(keys) === -1) {
+      throw new Error(
+        `invalid keys policy "${keys}": ` +
+        `use one of ${KEYS_POLICIES.join(', ')}`
+      );
+    }
+    this.shape = shape;
+    this.name = options.name || null;
+    this.description = options.description || null;
+    this.site = declarationSite();
+    this.keys = keys;
+    this.symbols = !!options.symbols;
+    this.rename = options.rename || {};
+    // Defaults are copied, so that they are not affected by later changes to
+    // the provided ones, nor by changes to built objects.
+    this.defaults = copyValue(options.defaults || {});
+    this.freeze = freezePolicy(options.freeze);
+    this.bind = options.bind || 'auto';
+    this.mode = options.mode || null;
+    checkBindPolicy(this, this.bind);
+    if (this.mode) {
+      checkMode(this.mode);
+    }
+    checkDeclared(this, Object.keys(this.rename), 'rename field');
+    checkDeclared(
+      this, Object.keys(this.defaults), 'set the default value of field');
+  }
+
+  /**
+    Return the options used to create this declaration, as accepted by
+    "shapeup.shape". Only the options related to the given fields are
+    included, defaulting to all declared fields.
+  */
+  options(fields=null) {
+    fields = fields || this.fields();
+    const filter = obj => {
+      const result = {};
+      Object.keys(obj).forEach(key => {
+        if (fields.indexOf(key) !== -1) {
+          result[key] = obj[key];
+        }
+      });
+      return result;
+    };
+    return {
+      name: this.name,
+      description: this.description,
+      keys: this.keys,
+      symbols: this.symbols,
+      rename: filter(this.rename),
+      defaults: copyValue(filter(this.defaults)),
+      freeze: this.freeze,
+      bind: Array.isArray(this.bind) ?
+        this.bind.filter(key => fields.indexOf(key) !== -1) : this.bind,
+      mode: this.mode
+    };
+  }
+
+  /**
+    Report whether a default value is declared for the given field.
+  */
+  hasDefault(key) {
+    return Object.prototype.hasOwnProperty.call(this.defaults, key);
+  }
+
+  /**
+    Return a copy of the default value declared for the given field, so that
+    objects built using it do not share mutable values.
+  */
+  defaultValue(key) {
+    return copyValue(this.defaults[key]);
+  }
+
+  /**
+    Return the list of fields declared in the shape, including symbol keyed
+    fields if symbols are enabled.
+  */
+  fields() {
+    const fields = Object.keys(this.shape);
+    if (!this.symbols) {
+      return fields;
+    }
+    return fields.concat(Object.getOwnPropertySymbols(this.shape).filter(
+      key => Object.prototype.propertyIsEnumerable.call(this.shape, key)));
+  }
+
+  /**
+    Return the list of keys in the given object that must be checked for
+    extraneous fields, based on the keys policy.
+  */
+  keysOf(obj) {
+    const keys = [];
+    let current = obj;
+    while (current !== null && current !== Object.prototype) {
+      const isOwn = current === obj;
+      let names = Object.getOwnPropertyNames(current);
+      if (this.symbols) {
+        names = names.concat(Object.getOwnPropertySymbols(current));
+      }
+      names.forEach(name => {
+        if (keys.indexOf(name) === -1 && (isOwn || name !== 'constructor')) {
+          keys.push(name);
+        }
+      });
+      if (this.keys !== 'inherited') {
+        break;
+      }
+      current = Object.getPrototypeOf(current);
+    }
+    return keys;
+  }
+};
+
+// Define the available policies for handling inherited properties.
+const KEYS_POLICIES = ['lenient', 'own', 'inherited'];
+
+// Define the available modes for handling violations.
+const MODES = ['default', 'throw', 'report', 'log', 'ignore', 'off'];
+
+// Define the available policies for binding methods.
+const BIND_POLICIES = ['auto', 'always', 'never', 'prototype'];
+
+// Define the available freeze policies, mapping each policy to its allowed
+// values, the first one being the default.
+const FREEZE_POLICIES = {
+  collections: ['deep', 'shallow'],
+  typedArrays: ['ignore', 'reject'],
+  elements: ['skip', 'freeze']
+};
+
+/**
+  The prototypes of built-in objects, whose properties are not considered when
+  checking whether source objects can be cached.
+*/
+const BUILTIN_PROTOTYPES = [
+  Object.prototype, Function.prototype, Array.prototype
+];
+
+/**
+  The policy used for walking source objects when checking whether they can be
+  cached. React elements are considered immutable.
+*/
+const CACHE_FREEZE_POLICY = {
+  collections: 'shallow',
+  typedArrays: 'ignore',
+  elements: 'skip'
+};
+
+/**
+  Declaration for arrays of values of the given type.
+*/
+const ArrayOf = class ArrayOf {
+  constructor(type) {
+    this.type = type;
+  }
+};
+
+/**
+  Declaration for objects whose values are of the given type.
+*/
+const ObjectOf = class ObjectOf {
+  constructor(type) {
+    this.type = type;
+  }
+};
+
+/**
+  Declaration for values of any of the given types.
+*/
+const OneOfType = class OneOfType {
+  constructor(types) {
+    this.types = types;
+  }
+};
+
+/**
+  Declaration for enumerations of the given values.
+*/
+const OneOf = class OneOf {
+  constructor(values) {
+    this.values = values;
+  }
+};
+
+/**
+  Identifier for the null property type.
+*/
+const Null = class Null {};
+
+/**
+  The error returned by shapeup validators.
+  Rather than stopping at the first failure, validators collect all the
+  violations found in the provided property, so that they are all available
+  in the "violations" array. Each violation is an object with the following
+  fields:
+    - kind: "missing", "type", "extraneous" or "unfrozen";
+    - path: the dotted path of the offending value, like "api.field1";
+    - expected: the expected type name (like "string" or "shape"), "frozen"
+      for unfrozen values, or null for extraneous fields;
+    - received: the offending value;
+    - message: a human readable description of the violation, prefixed by
+      the shape name when the violation is found in a named shape;
+    - shape: the name of the innermost named shape including the violation,
+      only present for named shapes.
+  The error message includes the messages of all violations, one per line.
+*/
+const ShapeError = class ShapeError extends Error {
+  constructor(violations) {
+    const messages = [];
+    violations.forEach(violation => {
+      if (messages.indexOf(violation.message) === -1) {
+        messages.push(violation.message);
+      }
+    });
+    super(messages.join('\n'));
+    this.name = 'ShapeError';
+    this.violations = violations;
+  }
+};
+
+// Define the types whose values are also accepted by more generic types.
+const COMPATIBLE_TYPES = {
+  array: ['arrayOf'],
+  object: ['shape', 'objectOf'],
+  node: ['string', 'number', 'element']
+};
+
+// Define the names of the prop-types primitive property types.
+const PRIMITIVE_TYPES = [
+  'any', 'array', 'bigint', 'bool', 'element', 'elementType', 'func', 'node',
+  'number', 'object', 'string', 'symbol'
+];
+
+/**
+  Identifier for the reshape property.
+*/
+const Reshape = class Reshape {};
+
+/**
+  A required func property type wrapper only used as a placeholder for the
+  reshape function.
 */
 const reshapeFunc = (props, propName, componentName, ...rest) => {
   return PropTypes.func.isRequired(props, propName, componentName, ...rest);
 };
 reshapeFunc[SHAPE] = new Reshape();
 
+/**
+  A property type only accepting null values, used by nullable types built by
+  "shapeup.fromJSONSchema". Undefined values are accepted as well, as in
+  unions they are handled by the "isRequired" variation.
+*/
+const nullType = (props, propName, componentName, ...rest) => {
+  const propValue = props[propName];
+  if (propValue === null || propValue === undefined) {
+    return null;
+  }
+  const path = rest[1] || propName;
+  return new ShapeError([{
+    kind: 'type',
+    path: path,
+    expected: 'null',
+    received: propValue,
+    message:
+      `invalid property "${path}" provided to component ` +
+      `"${componentName}": expected null`
+  }]);
+};
+nullType[SHAPE] = new Null();
+
 module.exports = {
   addReshape: addReshape,
+  arrayOf: arrayOf,
+  asValue: asValue,
+  assert: assert,
+  clearCache: clearCache,
+  clearUsage: clearUsage,
+  configure: configure,
   deepFreeze: deepFreeze,
+  describe: describe,
+  diff: diff,
+  extend: extend,
+  fromJSONSchema: fromJSONSchema,
   fromShape: fromShape,
+  merge: merge,
+  mock: mock,
+  objectOf: objectOf,
+  omit: omit,
+  oneOfType: oneOfType,
+  pick: pick,
   reshapeFunc: reshapeFunc,
-  shape: shape
+  shape: shape,
+  ShapeError: ShapeError,
+  toJSONSchema: toJSONSchema,
+  usageReport: usageReport,
+  validate: validate
 };
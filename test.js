@@ -1,8 +1,18 @@
 /* Copyright (C) 2017 Francesco Banconi */
 
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const PropTypes = require('prop-types');
+const React = require('react');
+const TestRenderer = require('react-test-renderer');
 const shapeup = require('./shapeup.js');
+const shapeupReact = require('./react.js');
 const test = require('tape');
+const tree = require('./tree.js');
+const typescript = require('./typescript.js');
 
 test('addReshape', t => {
   const shape = shapeup.shape({
@@ -59,6 +69,313 @@ test('addReshape', t => {
   });
 });
 
+test('arrayOf', t => {
+  const propType = shapeup.arrayOf(shapeup.shape({
+    name: PropTypes.string.isRequired
+  }));
+
+  t.test('validates the array items', t => {
+    const err = validateProp(propType, [{name: 'who'}, {name: 'rose'}]);
+    t.equal(err, null);
+    t.end();
+  });
+
+  t.test('fails when items include extraneous fields', t => {
+    const err = validateProp(propType, [{name: 'who'}, {name: 42, bad: 1}]);
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.kind, violation.path];
+    }), [['type', 'api[1].name'], ['extraneous', 'api[1].bad']]);
+    t.end();
+  });
+
+  t.test('fails when the value is not an array', t => {
+    const err = validateProp(propType, {name: 'who'});
+    t.equal(
+      err.message,
+      'invalid property "api" provided to component "TestComponent": ' +
+      'expected an array but a value of type "object" has been provided');
+    t.end();
+  });
+
+  t.test('supports the isRequired and frozen variations', t => {
+    t.equal(validateProp(propType, undefined), null);
+    let err = validateProp(propType.isRequired, undefined);
+    t.equal(err.violations[0].kind, 'missing');
+    err = validateProp(propType.frozen.isRequired, [Object.freeze({name: 1})]);
+    t.deepEqual(err.violations.map(violation => violation.kind), [
+      'unfrozen', 'type'
+    ]);
+    t.end();
+  });
+
+  t.test('is used in nested shapes', t => {
+    const shape = shapeup.shape({
+      items: propType.isRequired
+    });
+    const err = validateProp(shape, {items: [{name: 'who', bad: 'wolf'}]});
+    t.equal(err.violations[0].path, 'api.items[0].bad');
+    t.end();
+  });
+});
+
+test('asValue', t => {
+  t.test('validates as the wrapped type', t => {
+    const propType = shapeup.asValue(PropTypes.func);
+    t.equal(validateProp(propType, () => {}), null);
+    t.equal(validateProp(propType, undefined), null);
+    t.notEqual(validateProp(propType, 42), null);
+    t.notEqual(validateProp(propType.isRequired, undefined), null);
+    t.end();
+  });
+
+  t.test('is described as the wrapped type', t => {
+    const propType = shapeup.asValue(PropTypes.func.isRequired);
+    const description = shapeup.describe(propType);
+    t.equal(description.type, 'func');
+    t.equal(description.required, true);
+    t.end();
+  });
+});
+
+test('assert', t => {
+  const propType = shapeup.shape({
+    field1: PropTypes.number.isRequired
+  });
+
+  t.test('returns the value if valid', t => {
+    const value = {field1: 42};
+    t.equal(shapeup.assert(value, propType), value);
+    t.end();
+  });
+
+  t.test('throws an error if the value is not valid', t => {
+    t.throws(() => {
+      shapeup.assert({field1: 'bad wolf'}, propType, {name: 'api'});
+    }, /Invalid property `api.field1` of type `string`/);
+    try {
+      shapeup.assert({field1: 42, field2: 47}, propType);
+    } catch(err) {
+      t.ok(err instanceof shapeup.ShapeError);
+      t.equal(err.violations[0].path, 'value.field2');
+    }
+    t.end();
+  });
+});
+
+test('clearCache', t => {
+  const shape = shapeup.shape({
+    field1: PropTypes.number
+  });
+
+  t.test('clears cached objects for a source', t => {
+    const source1 = Object.freeze({field1: 42});
+    const source2 = Object.freeze({field1: 47});
+    const obj1 = shapeup.fromShape(source1, shape);
+    const obj2 = shapeup.fromShape(source2, shape);
+    shapeup.clearCache(source1);
+    t.notEqual(shapeup.fromShape(source1, shape), obj1);
+    t.equal(shapeup.fromShape(source2, shape), obj2);
+    t.end();
+  });
+
+  t.test('clears the whole cache', t => {
+    const source1 = Object.freeze({field1: 42});
+    const source2 = Object.freeze({field1: 47});
+    const obj1 = shapeup.fromShape(source1, shape);
+    const obj2 = shapeup.fromShape(source2, shape);
+    shapeup.clearCache();
+    t.notEqual(shapeup.fromShape(source1, shape), obj1);
+    t.notEqual(shapeup.fromShape(source2, shape), obj2);
+    t.end();
+  });
+});
+
+test('clearUsage', t => {
+  t.test('clears usage information', t => {
+    const propType = shapeup.shape({field1: PropTypes.number});
+    const obj = shapeup.fromShape({field1: 42}, propType, {track: true});
+    t.equal(obj.field1, 42);
+    t.equal(shapeup.usageReport().length, 1);
+    shapeup.clearUsage();
+    t.deepEqual(shapeup.usageReport(), []);
+    t.end();
+  });
+});
+
+test('configure', t => {
+  const propType = shapeup.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string
+  });
+  // Run the given function using the given configuration.
+  const withConfig = (options, func) => {
+    const previous = shapeup.configure(options);
+    try {
+      func();
+    } finally {
+      shapeup.configure(previous);
+    }
+  };
+
+  t.test('returns errors to React by default', t => {
+    t.ok(validateProp(propType, {name: 42}) instanceof shapeup.ShapeError);
+    t.throws(() => {
+      shapeup.fromShape({name: 'who'}, propType);
+    }, /cannot build the shape: the field "id" is required/);
+    t.end();
+  });
+
+  t.test('throws errors', t => {
+    withConfig({mode: 'throw'}, () => {
+      t.throws(() => {
+        validateProp(propType, {id: 'bad'});
+      }, /^ShapeError: Invalid prop `api.id` of type `string`/);
+      t.throws(() => {
+        shapeup.fromShape({name: 'who'}, propType);
+      }, /cannot build the shape: the field "id" is required/);
+    });
+    t.end();
+  });
+
+  t.test('calls the reporter', t => {
+    const reports = [];
+    const reporter = (err, context) => {
+      reports.push([err, context]);
+    };
+    withConfig({mode: 'report', reporter: reporter}, () => {
+      t.equal(validateProp(propType.isRequired, {extra: true}), null);
+      const obj = shapeup.fromShape({name: 'who'}, propType);
+      t.deepEqual(obj, {name: 'who'});
+    });
+    t.equal(reports.length, 2);
+    t.ok(reports[0][0] instanceof shapeup.ShapeError);
+    t.deepEqual(reports[0][0].violations.map(violation => violation.kind), [
+      'missing', 'extraneous'
+    ]);
+    t.deepEqual(reports[0][1], {
+      propType: propType.isRequired,
+      componentName: 'TestComponent',
+      action: 'validate'
+    });
+    t.deepEqual(reports[1][0].violations.map(violation => violation.path), [
+      'id'
+    ]);
+    t.deepEqual(reports[1][1], {
+      propType: propType,
+      componentName: null,
+      action: 'build'
+    });
+    t.end();
+  });
+
+  t.test('logs errors without deduplication', t => {
+    withConfig({mode: 'log'}, () => {
+      const errors = captureErrors(() => {
+        t.equal(validateProp(propType, {id: 'bad'}), null);
+        t.equal(validateProp(propType, {id: 'bad'}), null);
+      });
+      t.equal(errors.length, 2);
+      t.ok(errors[0].startsWith('Invalid prop `api.id` of type'));
+    });
+    t.end();
+  });
+
+  t.test('ignores errors', t => {
+    withConfig({mode: 'ignore'}, () => {
+      t.equal(validateProp(propType, {id: 'bad'}), null);
+      const obj = shapeup.fromShape({name: 'who'}, propType);
+      t.deepEqual(obj, {name: 'who'});
+    });
+    t.end();
+  });
+
+  t.test('skips checks when turned off', t => {
+    let accessed = false;
+    const value = new Proxy({}, {
+      ownKeys: target => {
+        accessed = true;
+        return Reflect.ownKeys(target);
+      }
+    });
+    withConfig({mode: 'off'}, () => {
+      t.equal(validateProp(propType.frozen, value), null);
+      t.notOk(accessed);
+      const obj = shapeup.fromShape({name: 'who'}, propType);
+      t.deepEqual(obj, {name: 'who'});
+      // Explicit validation is not affected.
+      t.ok(shapeup.validate({id: 'bad'}, propType));
+    });
+    t.end();
+  });
+
+  t.test('uses the mode of the validated shape', t => {
+    const reports = [];
+    const nested = shapeup.shape({
+      id: PropTypes.number.isRequired
+    }, {mode: 'throw'});
+    const outer = shapeup.shape({nested: nested}, {mode: 'report'});
+    withConfig({mode: 'ignore', reporter: err => reports.push(err)}, () => {
+      t.equal(validateProp(outer, {nested: {}}), null);
+      t.throws(() => {
+        validateProp(nested, {});
+      }, /The prop `api.id` is marked as required/);
+      t.equal(validateProp(propType, {}), null);
+    });
+    t.equal(reports.length, 1);
+    t.equal(reports[0].violations[0].path, 'api.nested.id');
+    t.end();
+  });
+
+  t.test('accepts the mode as an option when building objects', t => {
+    const obj = shapeup.fromShape({name: 'who'}, propType, {mode: 'ignore'});
+    t.deepEqual(obj, {name: 'who'});
+    const ignored = shapeup.shape({
+      id: PropTypes.number.isRequired
+    }, {mode: 'ignore'});
+    t.throws(() => {
+      shapeup.fromShape({}, ignored, {mode: 'throw'});
+    }, /cannot build the shape: the field "id" is required/);
+    t.end();
+  });
+
+  t.test('does not reuse objects cached with a different mode', t => {
+    const source = Object.freeze({name: 'who'});
+    withConfig({mode: 'ignore'}, () => {
+      t.deepEqual(shapeup.fromShape(source, propType), {name: 'who'});
+    });
+    t.throws(() => {
+      shapeup.fromShape(source, propType);
+    }, /cannot build the shape: the field "id" is required/);
+    t.end();
+  });
+
+  t.test('restores the default configuration', t => {
+    shapeup.configure({mode: 'ignore'});
+    t.deepEqual(shapeup.configure(), {mode: 'ignore', reporter: null});
+    t.deepEqual(shapeup.configure(), {mode: 'default', reporter: null});
+    t.end();
+  });
+
+  t.test('fails for invalid configurations', t => {
+    t.throws(() => {
+      shapeup.configure({mode: 'bad'});
+    }, /invalid mode "bad": use one of default, throw, report, log, ignore/);
+    t.throws(() => {
+      shapeup.configure({mode: 'report'});
+    }, /the "report" mode requires a reporter function/);
+    t.throws(() => {
+      shapeup.configure({reporter: 'bad'});
+    }, /invalid reporter: a function must be provided/);
+    t.throws(() => {
+      shapeup.shape({}, {mode: 'bad'});
+    }, /invalid mode "bad"/);
+    t.throws(() => {
+      shapeup.fromShape({}, propType, {mode: 'bad'});
+    }, /invalid mode "bad"/);
+    t.end();
+  });
+});
+
 test('deepFreeze', t => {
   t.test('deeply freezes objects', t => {
     const obj = {
@@ -93,6 +410,113 @@ test('deepFreeze', t => {
     t.end();
   });
 
+  t.test('deeply freezes cyclic graphs', t => {
+    const parent = {children: []};
+    const child = {parent: parent, siblings: new Map([['parent', parent]])};
+    parent.children.push(child);
+    shapeup.deepFreeze(child);
+    checkFrozen(t, parent);
+    checkFrozen(t, parent.children);
+    checkFrozen(t, child);
+    checkFrozen(t, child.siblings);
+    t.end();
+  });
+
+  t.test('freezes values included in frozen parents', t => {
+    const obj = Object.freeze({inner: {answer: 42}});
+    shapeup.deepFreeze(obj);
+    checkFrozen(t, obj.inner);
+    t.end();
+  });
+
+  t.test('applies freeze policies', t => {
+    const tests = [{
+      about: 'map values (deep)',
+      input: () => new Map([['key', {}]]),
+      frozen: value => [value, value.get('key')]
+    }, {
+      about: 'map values (shallow)',
+      policy: {collections: 'shallow'},
+      input: () => new Map([['key', {}]]),
+      frozen: value => [value],
+      unfrozen: value => [value.get('key')]
+    }, {
+      about: 'set values (deep)',
+      input: () => new Set([{}]),
+      frozen: value => [value, Array.from(value)[0]]
+    }, {
+      about: 'set values (shallow)',
+      policy: {collections: 'shallow'},
+      input: () => new Set([{}]),
+      frozen: value => [value],
+      unfrozen: value => [Array.from(value)[0]]
+    }, {
+      about: 'typed arrays (ignore)',
+      input: () => new Uint8Array(2),
+      unfrozen: value => [value]
+    }, {
+      about: 'typed arrays (reject)',
+      policy: {typedArrays: 'reject'},
+      input: () => new Uint8Array(2),
+      error: /cannot freeze "field": typed arrays cannot be frozen/
+    }, {
+      about: 'React elements (skip)',
+      input: () => {
+        return {$$typeof: Symbol.for('react.element'), props: {}};
+      },
+      unfrozen: value => [value, value.props]
+    }, {
+      about: 'React elements (freeze)',
+      policy: {elements: 'freeze'},
+      input: () => {
+        return {$$typeof: Symbol.for('react.element'), props: {}};
+      },
+      frozen: value => [value, value.props]
+    }, {
+      about: 'DOM nodes (skip)',
+      input: () => {
+        return {nodeType: 1, nodeName: 'DIV', dataset: {}};
+      },
+      unfrozen: value => [value, value.dataset]
+    }, {
+      about: 'DOM nodes (freeze)',
+      policy: {elements: 'freeze'},
+      input: () => {
+        return {nodeType: 1, nodeName: 'DIV', dataset: {}};
+      },
+      frozen: value => [value, value.dataset]
+    }];
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      t.test(test.about, t => {
+        const obj = {field: test.input()};
+        if (test.error) {
+          t.throws(() => {
+            shapeup.deepFreeze(obj, test.policy);
+          }, test.error);
+          t.end();
+          return;
+        }
+        shapeup.deepFreeze(obj, test.policy);
+        checkFrozen(t, obj);
+        (test.frozen ? test.frozen(obj.field) : []).forEach(value => {
+          t.equal(Object.isFrozen(value), true);
+        });
+        (test.unfrozen ? test.unfrozen(obj.field) : []).forEach(value => {
+          t.equal(Object.isFrozen(value), false);
+        });
+        t.end();
+      });
+    }
+  });
+
+  t.test('fails for invalid policies', t => {
+    t.throws(() => {
+      shapeup.deepFreeze({}, {typedArrays: 'bad'});
+    }, /invalid freeze policy "typedArrays" value "bad": use one of ignore,/);
+    t.end();
+  });
+
   t.test('ignores non-accessible properties', t => {
     const obj = {answer: 42};
     Object.defineProperty(obj, 'badWolf', {
@@ -109,6 +533,481 @@ test('deepFreeze', t => {
   });
 });
 
+test('describe', t => {
+  t.test('describes shapes', t => {
+    const ownerSite = nextLine(27);
+    const owner = shapeup.shape({name: PropTypes.string});
+    const tags = shapeup.arrayOf(PropTypes.string);
+    const custom = PropTypes.instanceOf(Date);
+    const site = nextLine(30);
+    const propType = shapeup.shape({
+      id: PropTypes.number.isRequired,
+      visible: PropTypes.bool,
+      owner: owner.frozen.isRequired,
+      tags: tags,
+      created: custom,
+      reshape: shapeup.reshapeFunc
+    }, {defaults: {visible: false}, rename: {id: 'key'}});
+    t.deepEqual(shapeup.describe(propType.isRequired), {
+      type: 'shape',
+      propType: propType.isRequired,
+      required: true,
+      frozen: false,
+      reshape: false,
+      value: false,
+      options: {
+        name: null,
+        description: null,
+        keys: 'lenient',
+        symbols: false,
+        rename: {id: 'key'},
+        defaults: {visible: false},
+        freeze: {collections: 'deep', typedArrays: 'ignore', elements: 'skip'},
+        bind: 'auto',
+        mode: null
+      },
+      site: site,
+      fields: [{
+        name: 'id',
+        type: 'number',
+        propType: PropTypes.number.isRequired,
+        required: true,
+        frozen: false,
+        reshape: false,
+        value: false
+      }, {
+        name: 'visible',
+        type: 'bool',
+        propType: PropTypes.bool,
+        required: false,
+        frozen: false,
+        reshape: false,
+        value: false,
+        default: false
+      }, {
+        name: 'owner',
+        type: 'shape',
+        propType: owner.frozen.isRequired,
+        required: true,
+        frozen: true,
+        reshape: false,
+        value: false,
+        options: {
+          name: null,
+          description: null,
+          keys: 'lenient',
+          symbols: false,
+          rename: {},
+          defaults: {},
+          freeze: {
+            collections: 'deep',
+            typedArrays: 'ignore',
+            elements: 'skip'
+          },
+          bind: 'auto',
+          mode: null
+        },
+        site: ownerSite,
+        fields: [{
+          name: 'name',
+          type: 'string',
+          propType: PropTypes.string,
+          required: false,
+          frozen: false,
+          reshape: false,
+          value: false
+        }]
+      }, {
+        name: 'tags',
+        type: 'arrayOf',
+        propType: tags,
+        required: false,
+        frozen: false,
+        reshape: false,
+        value: false,
+        items: {
+          type: 'string',
+          propType: PropTypes.string,
+          required: false,
+          frozen: false,
+          reshape: false,
+          value: false
+        }
+      }, {
+        name: 'created',
+        type: 'custom',
+        propType: custom,
+        required: false,
+        frozen: false,
+        reshape: false,
+        value: false
+      }, {
+        name: 'reshape',
+        type: 'func',
+        propType: shapeup.reshapeFunc,
+        required: true,
+        frozen: false,
+        reshape: true,
+        value: false
+      }]
+    });
+    t.end();
+  });
+
+  t.test('describes named shapes', t => {
+    const site = nextLine(30);
+    const propType = shapeup.shape({id: PropTypes.number}, {
+      name: 'EntityApi',
+      description: 'The API exposed by entities.'
+    });
+    const description = shapeup.describe(propType.frozen);
+    t.equal(description.options.name, 'EntityApi');
+    t.equal(description.options.description, 'The API exposed by entities.');
+    t.equal(description.site, site);
+    t.end();
+  });
+
+  t.test('describes unions', t => {
+    const propType = shapeup.oneOfType([PropTypes.string, PropTypes.number]);
+    const description = shapeup.describe(propType.frozen);
+    t.equal(description.type, 'oneOfType');
+    t.equal(description.frozen, true);
+    t.deepEqual(description.types.map(type => type.type), [
+      'string', 'number'
+    ]);
+    t.end();
+  });
+
+  t.test('describes value types', t => {
+    const owner = shapeup.shape({name: PropTypes.string});
+    const propType = shapeup.asValue(owner.frozen.isRequired);
+    const description = shapeup.describe(propType);
+    t.equal(description.type, 'shape');
+    t.equal(description.propType, propType);
+    t.equal(description.required, true);
+    t.equal(description.frozen, true);
+    t.equal(description.value, true);
+    t.deepEqual(description.fields.map(field => field.name), ['name']);
+    t.equal(shapeup.describe(owner).value, false);
+    t.end();
+  });
+});
+
+test('diff', t => {
+  const owner = shapeup.shape({
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string
+  });
+  const source = shapeup.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    owner: owner.isRequired,
+    tags: shapeup.arrayOf(PropTypes.string).isRequired,
+    size: PropTypes.number,
+    reshape: shapeup.reshapeFunc
+  });
+
+  t.test('reports compatible shapes', t => {
+    const target = shapeup.shape({
+      id: PropTypes.number.isRequired,
+      owner: shapeup.shape({name: PropTypes.string.isRequired}).isRequired,
+      tags: PropTypes.array,
+      reshape: shapeup.reshapeFunc
+    });
+    t.deepEqual(shapeup.diff(source, target), {
+      compatible: true,
+      missing: [],
+      mismatched: [],
+      extra: [{
+        path: 'owner.email',
+        received: 'string'
+      }, {
+        path: 'title',
+        received: 'string'
+      }, {
+        path: 'size',
+        received: 'number'
+      }]
+    });
+    t.end();
+  });
+
+  t.test('reports missing fields', t => {
+    const target = shapeup.shape({
+      id: PropTypes.number.isRequired,
+      owner: shapeup.shape({
+        name: PropTypes.string.isRequired,
+        avatar: PropTypes.string.isRequired
+      }).isRequired,
+      count: PropTypes.number.isRequired,
+      visible: PropTypes.bool.isRequired,
+      color: PropTypes.string
+    }, {defaults: {visible: true}});
+    const result = shapeup.diff(source, target);
+    t.equal(result.compatible, false);
+    t.deepEqual(result.missing, [{
+      path: 'owner.avatar',
+      expected: 'string'
+    }, {
+      path: 'count',
+      expected: 'number'
+    }]);
+    t.deepEqual(result.mismatched, []);
+    t.end();
+  });
+
+  t.test('reports mismatched fields', t => {
+    const target = shapeup.shape({
+      id: PropTypes.string.isRequired,
+      owner: PropTypes.object,
+      tags: shapeup.arrayOf(PropTypes.number),
+      size: PropTypes.number.isRequired
+    });
+    const result = shapeup.diff(source, target);
+    t.equal(result.compatible, false);
+    t.deepEqual(result.missing, []);
+    t.deepEqual(result.mismatched, [{
+      path: 'id',
+      expected: 'string',
+      received: 'number',
+      reason: 'type'
+    }, {
+      path: 'tags[]',
+      expected: 'number',
+      received: 'string',
+      reason: 'type'
+    }, {
+      path: 'size',
+      expected: 'number',
+      received: 'number',
+      reason: 'optional'
+    }]);
+    t.end();
+  });
+
+  t.test('uses the renames declared in the target shape', t => {
+    const target = shapeup.shape({
+      key: PropTypes.number.isRequired
+    }, {rename: {key: 'id'}});
+    const result = shapeup.diff(source, target);
+    t.equal(result.compatible, true);
+    t.notOk(result.extra.some(field => field.path === 'id'));
+    t.end();
+  });
+
+  t.test('compares unions', t => {
+    const union = shapeup.shape({
+      value: shapeup.oneOfType([PropTypes.string, PropTypes.number])
+    });
+    const stringValue = shapeup.shape({value: PropTypes.string});
+    t.equal(shapeup.diff(stringValue, union).compatible, true);
+    t.deepEqual(shapeup.diff(union, stringValue).mismatched, [{
+      path: 'value',
+      expected: 'string',
+      received: 'oneOfType',
+      reason: 'type'
+    }]);
+    t.equal(shapeup.diff(union, union).compatible, true);
+    t.end();
+  });
+
+  t.test('considers custom validators as compatible', t => {
+    const custom = shapeup.shape({id: PropTypes.instanceOf(Date)});
+    t.equal(shapeup.diff(source, custom).compatible, true);
+    t.end();
+  });
+
+  t.test('fails for non-shape types', t => {
+    t.throws(() => {
+      shapeup.diff(source, PropTypes.object);
+    }, /diff called with a non-shape property type/);
+    t.end();
+  });
+
+  t.test('compares value types', t => {
+    const settings = shapeup.shape({
+      theme: PropTypes.string.isRequired,
+      size: PropTypes.number
+    });
+    const valueSource = shapeup.shape({
+      settings: shapeup.asValue(settings.isRequired)
+    });
+    const target = shapeup.shape({
+      settings: shapeup.asValue(shapeup.shape({
+        theme: PropTypes.string.isRequired,
+        color: PropTypes.string.isRequired
+      }).isRequired)
+    });
+    t.deepEqual(shapeup.diff(valueSource, target), {
+      compatible: false,
+      missing: [{path: 'settings.color', expected: 'string'}],
+      mismatched: [],
+      extra: [{path: 'settings.size', received: 'number'}]
+    });
+    t.end();
+  });
+});
+
+test('extend', t => {
+  const base = shapeup.shape({
+    field1: PropTypes.number.isRequired,
+    field2: PropTypes.string,
+    reshape: shapeup.reshapeFunc
+  }, {keys: 'own', defaults: {field2: 'who'}});
+
+  t.test('adds fields to the shape', t => {
+    const propType = shapeup.extend(base, {
+      field2: PropTypes.string.isRequired,
+      field3: PropTypes.bool
+    });
+    const declaration = propType[SHAPE];
+    t.deepEqual(Object.keys(declaration.shape), [
+      'field1', 'field2', 'reshape', 'field3'
+    ]);
+    t.equal(declaration.shape.field2, PropTypes.string.isRequired);
+    t.equal(declaration.shape.reshape, shapeup.reshapeFunc);
+    t.equal(declaration.keys, 'own');
+    t.deepEqual(declaration.defaults, {field2: 'who'});
+    // The original shape is not modified.
+    t.deepEqual(Object.keys(base[SHAPE].shape), [
+      'field1', 'field2', 'reshape'
+    ]);
+    t.end();
+  });
+
+  t.test('does not preserve the shape name', t => {
+    const named = shapeup.shape({field1: PropTypes.string}, {
+      name: 'Base',
+      description: 'The base shape.'
+    });
+    const options = shapeup.describe(shapeup.extend(named, {})).options;
+    t.equal(options.name, null);
+    t.equal(options.description, null);
+    t.end();
+  });
+
+  t.test('preserves the variation', t => {
+    const propType = shapeup.extend(base.frozen.isRequired, {});
+    t.equal(propType, propType[SHAPE].propType.frozen.isRequired);
+    const err = validateProp(propType, undefined);
+    t.equal(err.violations[0].kind, 'missing');
+    t.end();
+  });
+
+  t.test('fails for non-shape types', t => {
+    t.throws(() => {
+      shapeup.extend(PropTypes.object, {});
+    }, /extend called with a non-shape property type/);
+    t.end();
+  });
+});
+
+test('fromJSONSchema', t => {
+  t.test('builds exact shapes', t => {
+    const propType = shapeup.fromJSONSchema({
+      type: 'object',
+      properties: {
+        id: {type: 'integer'},
+        name: {type: 'string', default: 'anonymous'},
+        admin: {type: 'boolean'}
+      },
+      required: ['id'],
+      additionalProperties: false
+    });
+    const declaration = propType[SHAPE];
+    t.equal(declaration.shape.id, PropTypes.number.isRequired);
+    t.equal(declaration.shape.name, PropTypes.string);
+    t.equal(declaration.shape.admin, PropTypes.bool);
+    t.deepEqual(declaration.defaults, {name: 'anonymous'});
+    t.equal(validateProp(propType, {id: 1, admin: true}), null);
+    const err = validateProp(propType, {id: 1, bad: true});
+    t.deepEqual(err.violations.map(violation => violation.kind), [
+      'extraneous'
+    ]);
+    t.end();
+  });
+
+  t.test('builds collections and unions', t => {
+    const propType = shapeup.fromJSONSchema({
+      type: 'object',
+      properties: {
+        tags: {type: 'array', items: {type: 'string'}},
+        scores: {type: 'object', additionalProperties: {type: 'number'}},
+        value: {anyOf: [{type: 'string'}, {type: 'number'}]},
+        label: {type: ['string', 'null']},
+        size: {enum: ['small', 'large']},
+        data: {type: 'object'},
+        anything: {}
+      }
+    });
+    const fields = shapeup.describe(propType).fields;
+    t.deepEqual(fields.map(field => field.type), [
+      'arrayOf', 'objectOf', 'oneOfType', 'oneOfType', 'oneOf', 'object',
+      'any'
+    ]);
+    t.deepEqual(fields[3].types.map(type => type.type), ['string', 'null']);
+    t.deepEqual(fields[4].values, ['small', 'large']);
+    t.equal(validateProp(propType, {
+      tags: ['a'], scores: {a: 1}, value: 42, label: null, size: 'small'
+    }), null);
+    const err = validateProp(propType, {tags: [1], size: 'medium'});
+    t.equal(err.violations.length, 2);
+    t.end();
+  });
+
+  t.test('accepts null for required nullable properties', t => {
+    const propType = shapeup.fromJSONSchema({
+      type: 'object',
+      properties: {
+        label: {type: ['string', 'null']},
+        size: {enum: ['small', 'large']}
+      },
+      required: ['label', 'size']
+    });
+    t.equal(validateProp(propType, {label: null, size: 'small'}), null);
+    const kinds = value => validateProp(propType, value).violations.map(
+      violation => violation.kind);
+    t.deepEqual(kinds({size: 'small'}), ['missing']);
+    t.deepEqual(kinds({label: 42, size: 'small'}), ['type']);
+    const obj = shapeup.fromShape({label: null, size: 'large'}, propType);
+    t.deepEqual(obj, {label: null, size: 'large'});
+    t.throws(() => {
+      shapeup.fromShape({label: 'who'}, propType);
+    }, /the field "size" is required/);
+    t.end();
+  });
+
+  t.test('round-trips JSON Schemas', t => {
+    const schema = {
+      type: 'object',
+      properties: {
+        label: {type: ['string', 'null']},
+        size: {enum: ['small', 'large']},
+        owner: {
+          type: ['object', 'null'],
+          properties: {name: {type: 'string'}},
+          required: ['name'],
+          additionalProperties: false
+        },
+        value: {type: ['string', 'number', 'null']},
+        items: {type: 'array', items: {enum: [1, 2]}}
+      },
+      required: ['label', 'size', 'owner'],
+      additionalProperties: false
+    };
+    t.deepEqual(
+      shapeup.toJSONSchema(shapeup.fromJSONSchema(schema)), schema);
+    t.end();
+  });
+
+  t.test('fails for references', t => {
+    t.throws(() => {
+      shapeup.fromJSONSchema({$ref: '#/definitions/user'});
+    }, /unsupported JSON Schema reference: #\/definitions\/user/);
+    t.end();
+  });
+});
+
 test('fromShape', t => {
   t.test('fails for non-shape types', t => {
     const nonShapeType = () => {};
@@ -170,20 +1069,91 @@ test('fromShape', t => {
     t.end();
   });
 
-  t.test('relies on React checking in the case a property is not found', t => {
+  t.test('fails if a required property is not found', t => {
     const shape = shapeup.shape({
       field1: PropTypes.number.isRequired,
       field2: PropTypes.string.isRequired
     });
-    const obj = shapeup.fromShape({
-      field1: 42,
-      field3: false
-    }, shape);
-    t.deepEqual(obj, {field1: 42});
+    t.throws(() => {
+      shapeup.fromShape({
+        field1: 42,
+        field3: false
+      }, shape);
+    }, new RegExp(
+      '^ShapeError: cannot build the shape: the field "field2" is required ' +
+      'but "undefined" has been provided$'));
     t.end();
   });
 
-  t.test('creates an object with the given shape', t => {
+  t.test('fails if a required nested property is not found', t => {
+    const shape = shapeup.shape({
+      field1: shapeup.arrayOf(shapeup.shape({
+        leaf: shapeup.shape({}).isRequired
+      })).isRequired
+    });
+    try {
+      shapeup.fromShape({field1: [{leaf: {}}, {leaf: null}]}, shape);
+      t.fail('no error thrown');
+    } catch(err) {
+      t.ok(err instanceof shapeup.ShapeError);
+      t.deepEqual(err.violations, [{
+        kind: 'missing',
+        path: 'field1[1].leaf',
+        expected: 'shape',
+        received: null,
+        message:
+          'cannot build the shape: the field "field1[1].leaf" is required ' +
+          'but "null" has been provided'
+      }]);
+    }
+    t.end();
+  });
+
+  t.test('includes the shape name in build errors', t => {
+    const shape = shapeup.shape({
+      field1: PropTypes.number.isRequired
+    }, {name: 'Api'});
+    try {
+      shapeup.fromShape({}, shape);
+      t.fail('no error thrown');
+    } catch(err) {
+      t.equal(err.violations[0].shape, 'Api');
+      t.equal(
+        err.message,
+        'shape "Api": cannot build the shape: the field "field1" is ' +
+        'required but "undefined" has been provided');
+    }
+    t.end();
+  });
+
+  t.test('omits optional properties not found', t => {
+    const shape = shapeup.shape({
+      field1: PropTypes.number.isRequired,
+      field2: PropTypes.string,
+      field3: shapeup.shape({}),
+      field4: PropTypes.arrayOf(PropTypes.number),
+      field5: PropTypes.bool
+    });
+    const obj = shapeup.fromShape({
+      field1: 42,
+      field4: [47],
+      field5: null
+    }, shape);
+    t.deepEqual(obj, {field1: 42, field4: [47], field5: null});
+    t.end();
+  });
+
+  t.test('detects required custom property types', t => {
+    const shape = shapeup.shape({
+      field1: PropTypes.arrayOf(PropTypes.number).isRequired
+    });
+    t.throws(() => {
+      shapeup.fromShape({}, shape);
+    }, /the field "field1" is required/);
+    t.end();
+  });
+
+  t.test('creates an object with the given shape', t => {
     const shape = shapeup.shape({
       field1: PropTypes.number.isRequired,
       field2: PropTypes.string.isRequired,
@@ -204,6 +1174,212 @@ test('fromShape', t => {
     t.end();
   });
 
+  t.test('handles inherited properties based on the keys policy', t => {
+    class Store {
+      get isLoading() {
+        return false;
+      }
+    }
+    const store = new Store();
+    store.id = 42;
+    const fields = {
+      id: PropTypes.number.isRequired,
+      isLoading: PropTypes.bool
+    };
+    let obj = shapeup.fromShape(store, shapeup.shape(fields));
+    t.deepEqual(obj, {id: 42, isLoading: false});
+    obj = shapeup.fromShape(store, shapeup.shape(fields, {keys: 'own'}));
+    t.deepEqual(obj, {id: 42});
+    fields.isLoading = PropTypes.bool.isRequired;
+    t.throws(() => {
+      shapeup.fromShape(store, shapeup.shape(fields, {keys: 'own'}));
+    }, /the field "isLoading" is required/);
+    t.end();
+  });
+
+  t.test('optionally includes symbol keys', t => {
+    const id = Symbol('id');
+    const fields = {field1: PropTypes.number.isRequired};
+    fields[id] = PropTypes.string.isRequired;
+    const source = {field1: 42, field2: 47};
+    source[id] = 'who';
+    let obj = shapeup.fromShape(source, shapeup.shape(fields));
+    t.deepEqual(Object.getOwnPropertySymbols(obj), []);
+    obj = shapeup.fromShape(source, shapeup.shape(fields, {symbols: true}));
+    t.deepEqual(obj, {field1: 42});
+    t.equal(obj[id], 'who');
+    t.end();
+  });
+
+  t.test('can optionally preserve accessor properties', t => {
+    class Store {
+      constructor() {
+        this.loading = false;
+        this.user = {name: 'who', planet: 'gallifrey'};
+      }
+      get isLoading() {
+        return this.loading;
+      }
+      get currentUser() {
+        return this.user;
+      }
+      get items() {
+        return [this.user.name];
+      }
+    }
+    const shape = shapeup.shape({
+      isLoading: PropTypes.bool.isRequired,
+      currentUser: shapeup.shape({name: PropTypes.string}).isRequired,
+      items: PropTypes.array.isRequired
+    });
+    const store = new Store();
+    // By default values are copied.
+    let obj = shapeup.fromShape(store, shape);
+    store.loading = true;
+    t.equal(obj.isLoading, false);
+    // Accessors preserve liveness.
+    obj = shapeup.fromShape(store, shape, {accessors: true});
+    t.equal(obj.isLoading, true);
+    store.loading = false;
+    t.equal(obj.isLoading, false);
+    store.user = {name: 'rose', planet: 'earth'};
+    t.deepEqual(obj.currentUser, {name: 'rose'});
+    checkFrozen(t, obj.currentUser);
+    // The object is still structurally frozen.
+    checkFrozen(t, obj);
+    t.throws(() => {
+      'use strict';
+      obj.isLoading = true;
+    }, TypeError);
+    // Values returned by getters are not frozen.
+    t.notOk(Object.isFrozen(obj.items));
+    t.notOk(Object.isFrozen(store.user));
+    // The resulting object is a valid frozen shape.
+    t.equal(shapeup.validate(obj, shape.frozen), null);
+    t.end();
+  });
+
+  t.test('renames fields', t => {
+    const shape = shapeup.shape({
+      fetchAll: PropTypes.func.isRequired,
+      name: PropTypes.string,
+      reshape: shapeup.reshapeFunc
+    });
+    const source = {
+      items: [1, 2],
+      title: 'who',
+      getAll: function() {
+        return this.items;
+      }
+    };
+    const obj = shapeup.fromShape(source, shape, {
+      rename: {fetchAll: 'getAll', name: 'title'}
+    });
+    t.deepEqual(Object.keys(obj), ['fetchAll', 'name', 'reshape']);
+    t.deepEqual(obj.fetchAll(), [1, 2]);
+    t.equal(obj.name, 'who');
+    checkFrozen(t, obj);
+    // Renaming is also available when reshaping.
+    const reshaped = obj.reshape(shapeup.shape({
+      getAll: PropTypes.func.isRequired
+    }), {rename: {getAll: 'fetchAll'}});
+    t.deepEqual(reshaped.getAll(), [1, 2]);
+    t.end();
+  });
+
+  t.test('renames fields as declared in the shape', t => {
+    const shape = shapeup.shape({
+      fetchAll: PropTypes.func.isRequired,
+      name: PropTypes.string
+    }, {rename: {fetchAll: 'getAll'}});
+    const source = {getAll: () => 42, name: 'who', title: 'rose'};
+    let obj = shapeup.fromShape(source, shape);
+    t.equal(obj.fetchAll(), 42);
+    t.equal(obj.name, 'who');
+    // Declared renames can be extended.
+    obj = shapeup.fromShape(source, shape, {rename: {name: 'title'}});
+    t.equal(obj.fetchAll(), 42);
+    t.equal(obj.name, 'rose');
+    // Validation is not affected.
+    t.equal(shapeup.validate(obj, shape), null);
+    t.end();
+  });
+
+  t.test('fails when renamed required fields are missing', t => {
+    const shape = shapeup.shape({
+      fetchAll: PropTypes.func.isRequired
+    });
+    t.throws(() => {
+      shapeup.fromShape({fetchAll: () => {}}, shape, {
+        rename: {fetchAll: 'getAll'}
+      });
+    }, new RegExp(
+      'the field "fetchAll" \\(renamed from "getAll"\\) is required but ' +
+      '"undefined" has been provided'));
+    t.end();
+  });
+
+  t.test('fails when renaming undeclared fields', t => {
+    const fields = {fetchAll: PropTypes.func};
+    const expected = new RegExp(
+      'cannot rename field "getAll": the field is not declared in the shape');
+    t.throws(() => {
+      shapeup.shape(fields, {rename: {getAll: 'fetchAll'}});
+    }, expected);
+    t.throws(() => {
+      shapeup.fromShape({}, shapeup.shape(fields), {
+        rename: {getAll: 'fetchAll'}
+      });
+    }, expected);
+    t.end();
+  });
+
+  t.test('uses default values declared in the shape', t => {
+    const shape = shapeup.shape({
+      name: PropTypes.string.isRequired,
+      visible: PropTypes.bool.isRequired,
+      tags: PropTypes.arrayOf(PropTypes.string),
+      owner: shapeup.shape({name: PropTypes.string})
+    }, {defaults: {
+      visible: false,
+      tags: [],
+      owner: {name: 'who', planet: 'gallifrey'}
+    }});
+    let obj = shapeup.fromShape({name: 'tardis'}, shape);
+    t.deepEqual(obj, {
+      name: 'tardis',
+      visible: false,
+      tags: [],
+      owner: {name: 'who'}
+    });
+    checkFrozen(t, obj.tags);
+    // Values in the source take precedence.
+    obj = shapeup.fromShape({name: 'tardis', visible: true}, shape);
+    t.equal(obj.visible, true);
+    t.end();
+  });
+
+  t.test('does not share default values between built objects', t => {
+    const defaults = {tags: [], settings: {theme: 'dark'}};
+    const shape = shapeup.shape({
+      tags: PropTypes.arrayOf(PropTypes.string),
+      settings: PropTypes.object
+    }, {defaults: defaults});
+    const mutable = shapeup.fromShape({}, shape, {mutable: true});
+    mutable.tags.push('leak');
+    mutable.settings.theme = 'light';
+    const expected = {tags: [], settings: {theme: 'dark'}};
+    t.deepEqual(shapeup.fromShape({}, shape), expected);
+    t.deepEqual(shapeup.fromShape({}, shape, {mutable: true}), expected);
+    t.deepEqual(shapeup.mock(shape), expected);
+    t.deepEqual(shapeup.describe(shape).fields[0].default, []);
+    // The provided defaults are neither frozen nor used by reference.
+    t.notOk(Object.isFrozen(defaults.tags));
+    defaults.tags.push('late');
+    t.deepEqual(shapeup.fromShape({}, shape).tags, []);
+    t.end();
+  });
+
   t.test('binds the methods', t => {
     const shape = shapeup.shape({
       fullName: PropTypes.func.isRequired,
@@ -228,6 +1404,292 @@ test('fromShape', t => {
     t.end();
   });
 
+  t.test('binds methods based on the binding policy', t => {
+    class Component {}
+    const Source = class Source {
+      constructor() {
+        this.name = 'source';
+        this.own = function() {
+          return this && this.name;
+        };
+        this.arrow = () => 'arrow';
+        this.bound = function() {
+          return this.name;
+        }.bind({name: 'other'});
+        this.shorthand = {method() {
+          return this && this.name;
+        }}.method;
+        this.component = Component;
+      }
+      inherited() {
+        return this && this.name;
+      }
+    };
+    const fields = [
+      'own', 'arrow', 'bound', 'shorthand', 'component', 'inherited'
+    ];
+    const declared = {};
+    fields.forEach(field => {
+      declared[field] = PropTypes.func;
+    });
+    const tests = [{
+      about: 'auto',
+      policy: undefined,
+      expected: ['own', 'shorthand', 'inherited']
+    }, {
+      about: 'always',
+      policy: 'always',
+      expected: fields
+    }, {
+      about: 'never',
+      policy: 'never',
+      expected: []
+    }, {
+      about: 'prototype',
+      policy: 'prototype',
+      expected: ['inherited']
+    }, {
+      about: 'list of fields',
+      policy: ['own', 'arrow'],
+      expected: ['own', 'arrow']
+    }];
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      t.test(test.about, t => {
+        const source = new Source();
+        const check = obj => {
+          const bound = fields.filter(field => obj[field] !== source[field]);
+          t.deepEqual(bound, test.expected, test.about);
+        };
+        // The policy can be declared in the shape.
+        check(shapeup.fromShape(
+          source, shapeup.shape(declared, {bind: test.policy})));
+        // The policy can be provided when building the object.
+        check(shapeup.fromShape(
+          source, shapeup.shape(declared, {bind: 'never'}),
+          {bind: test.policy || 'auto'}));
+        t.end();
+      });
+    }
+  });
+
+  t.test('binds async and generator methods', t => {
+    // Async functions are built from their source, as the linter is
+    // configured for ES6.
+    const Loader = evaluate(`class Loader {
+      constructor() {
+        this.url = 'loader';
+      }
+      async load() {
+        return this.url;
+      }
+      *items() {
+        yield this.url;
+      }
+    }`);
+    const source = evaluate(`{
+      url: 'source',
+      async fetchAll() {
+        return this.url;
+      },
+      *entries() {
+        yield this.url;
+      }
+    }`);
+    const api = shapeup.fromShape(source, shapeup.shape({
+      fetchAll: PropTypes.func,
+      entries: PropTypes.func
+    }, {bind: 'always'}));
+    const loader = shapeup.fromShape(new Loader(), shapeup.shape({
+      load: PropTypes.func,
+      items: PropTypes.func
+    }));
+    const fetchAll = api.fetchAll;
+    const load = loader.load;
+    t.deepEqual(Array.from(api.entries.call(null)), ['source']);
+    t.deepEqual(Array.from(loader.items.call(null)), ['loader']);
+    Promise.all([fetchAll(), load()]).then(results => {
+      t.deepEqual(results, ['source', 'loader']);
+      t.end();
+    });
+  });
+
+  t.test('does not bind arrow functions with complex parameters', t => {
+    const source = evaluate(`{
+      defaults: (a = String(1)) => a,
+      strings: async (a = ')') => a,
+      comments: (a /* ) */, b) => a,
+      method(a = String(1)) {
+        return this && a;
+      }
+    }`);
+    const obj = shapeup.fromShape(source, shapeup.shape({
+      defaults: PropTypes.func,
+      strings: PropTypes.func,
+      comments: PropTypes.func,
+      method: PropTypes.func
+    }));
+    t.equal(obj.defaults, source.defaults);
+    t.equal(obj.strings, source.strings);
+    t.equal(obj.comments, source.comments);
+    t.notEqual(obj.method, source.method);
+    t.end();
+  });
+
+  t.test('preserves the behavior of bound methods', t => {
+    const source = {
+      name: 'source',
+      getName: function() {
+        return this.name;
+      }
+    };
+    const propType = shapeup.shape({
+      getName: PropTypes.func
+    }, {bind: 'never'});
+    const obj = shapeup.fromShape(source, propType, {bind: ['getName']});
+    t.equal(obj.getName(), 'source');
+    t.end();
+  });
+
+  t.test('includes fields declared as values as they are', t => {
+    const callback = function() {};
+    const owner = {name: 'who', extra: true};
+    const propType = shapeup.shape({
+      callback: shapeup.asValue(PropTypes.func).isRequired,
+      owner: shapeup.asValue(shapeup.shape({name: PropTypes.string}))
+    }, {bind: 'always'});
+    const obj = shapeup.fromShape({
+      callback: callback,
+      owner: owner
+    }, propType, {mutable: true});
+    t.equal(obj.callback, callback);
+    t.equal(obj.owner, owner);
+    t.throws(() => {
+      shapeup.fromShape({}, propType);
+    }, /the field "callback" is required/);
+    t.end();
+  });
+
+  t.test('builds objects from multiple sources', t => {
+    const userStore = {
+      user: {name: 'Alice', admin: true},
+      getName: function() {
+        return this.user.name;
+      }
+    };
+    const api = {
+      url: 'https://example.com',
+      fetch: function() {
+        return this.url;
+      }
+    };
+    const propType = shapeup.shape({
+      user: shapeup.shape({name: PropTypes.string.isRequired}).isRequired,
+      getName: PropTypes.func.isRequired,
+      fetch: PropTypes.func.isRequired,
+      missing: PropTypes.string,
+      reshape: shapeup.reshapeFunc
+    });
+    const obj = shapeup.fromShape([userStore, api], propType);
+    t.deepEqual(obj.user, {name: 'Alice'});
+    t.equal(obj.getName(), 'Alice');
+    t.equal(obj.fetch(), 'https://example.com');
+    t.equal('missing' in obj, false);
+    checkFrozen(t, obj);
+    // Objects built from multiple sources are not cached.
+    Object.freeze(userStore);
+    Object.freeze(api);
+    t.notEqual(shapeup.fromShape([userStore, api], propType), obj);
+    t.end();
+  });
+
+  t.test('selects the source of fields', t => {
+    const source1 = {
+      name: 'source1',
+      getName: function() {
+        return this.name;
+      }
+    };
+    const source2 = {
+      name: 'source2',
+      getName: function() {
+        return `${this.name}!`;
+      }
+    };
+    const propType = shapeup.shape({
+      name: PropTypes.string.isRequired,
+      getName: PropTypes.func.isRequired
+    });
+    let obj = shapeup.fromShape([source1, source2], propType, {
+      sources: {name: source1, getName: source2}
+    });
+    t.equal(obj.name, 'source1');
+    t.equal(obj.getName(), 'source2!');
+    // The mapping can also be used without a list of sources.
+    obj = shapeup.fromShape([], propType, {
+      sources: {name: source2, getName: source1}
+    });
+    t.equal(obj.name, 'source2');
+    t.equal(obj.getName(), 'source1');
+    t.end();
+  });
+
+  t.test('renames fields from multiple sources', t => {
+    const propType = shapeup.shape({
+      name: PropTypes.string.isRequired,
+      size: PropTypes.number.isRequired
+    }, {rename: {name: 'title'}});
+    const obj = shapeup.fromShape([{title: 'who'}, {size: 42}], propType);
+    t.deepEqual(obj, {name: 'who', size: 42});
+    t.end();
+  });
+
+  t.test('fails for ambiguous fields', t => {
+    const propType = shapeup.shape({
+      name: PropTypes.string,
+      size: PropTypes.number
+    });
+    t.throws(() => {
+      shapeup.fromShape([{size: 1}, {name: 'a'}, {name: 'b'}], propType);
+    }, new RegExp(
+      'cannot build the shape: the field "name" is ambiguous, as it is ' +
+      'provided by multiple sources \\(at positions 1, 2\\): use the ' +
+      '"sources" option to select one'));
+    t.end();
+  });
+
+  t.test('fails for fields missing from all sources', t => {
+    const propType = shapeup.shape({
+      name: PropTypes.string.isRequired
+    });
+    t.throws(() => {
+      shapeup.fromShape([{size: 1}, {}], propType);
+    }, /the field "name" is required but it has not been found in any of/);
+    t.end();
+  });
+
+  t.test('fails when selecting the source of undeclared fields', t => {
+    const propType = shapeup.shape({name: PropTypes.string});
+    t.throws(() => {
+      shapeup.fromShape([], propType, {sources: {bad: {}}});
+    }, /cannot select the source of field "bad": the field is not declared/);
+    t.end();
+  });
+
+  t.test('fails for invalid binding policies', t => {
+    const propType = shapeup.shape({field1: PropTypes.func});
+    t.throws(() => {
+      shapeup.shape({}, {bind: 'bad'});
+    }, /invalid bind policy "bad": use one of auto, always, never, prototype/);
+    t.throws(() => {
+      shapeup.fromShape({}, propType, {bind: 'bad'});
+    }, /invalid bind policy "bad"/);
+    t.throws(() => {
+      shapeup.fromShape({}, propType, {bind: ['bad']});
+    }, /cannot bind field "bad": the field is not declared in the shape/);
+    t.end();
+  });
+
   t.test('handles sub-shapes', t => {
     const shape = shapeup.shape({
       field1: PropTypes.number.isRequired,
@@ -267,6 +1729,142 @@ test('fromShape', t => {
     t.end();
   });
 
+  t.test('handles collections and unions of shapes', t => {
+    const item = shapeup.shape({
+      name: PropTypes.string.isRequired,
+      greet: PropTypes.func
+    });
+    const shape = shapeup.shape({
+      list: shapeup.arrayOf(item).isRequired,
+      map: shapeup.objectOf(item).isRequired,
+      union: shapeup.oneOfType([PropTypes.number, item]).isRequired,
+      number: shapeup.oneOfType([PropTypes.number, item]).isRequired
+    });
+    const who = {
+      name: 'who',
+      planet: 'gallifrey',
+      greet: function() {
+        return `hello ${this.planet}`;
+      }
+    };
+    const obj = shapeup.fromShape({
+      list: [who, {name: 'rose', age: 19}],
+      map: {doctor: who},
+      union: who,
+      number: 42
+    }, shape);
+    t.deepEqual(Object.keys(obj.list[0]), ['name', 'greet']);
+    t.equal(obj.list[0].greet(), 'hello gallifrey');
+    t.deepEqual(obj.list[1], {name: 'rose'});
+    t.deepEqual(Object.keys(obj.map.doctor), ['name', 'greet']);
+    t.deepEqual(Object.keys(obj.union), ['name', 'greet']);
+    t.equal(obj.number, 42);
+    t.equal(shapeup.validate(obj, shape), null);
+    checkFrozen(t, obj.list);
+    checkFrozen(t, obj.list[1]);
+    checkFrozen(t, obj.map.doctor);
+    t.end();
+  });
+
+  t.test('returns the same object for frozen sources', t => {
+    const shape = shapeup.shape({
+      field1: PropTypes.number,
+      method: PropTypes.func,
+      reshape: shapeup.reshapeFunc
+    });
+    const source = Object.freeze({
+      field1: 42,
+      field2: 47,
+      method: function() {
+        return this.field2;
+      }
+    });
+    const obj = shapeup.fromShape(source, shape);
+    t.equal(shapeup.fromShape(source, shape), obj);
+    t.equal(obj.method, shapeup.fromShape(source, shape).method);
+    // Different shapes or options produce different objects.
+    t.notEqual(shapeup.fromShape(source, shape.isRequired), obj);
+    t.notEqual(shapeup.fromShape(source, shape, {accessors: true}), obj);
+    // Caching can be disabled.
+    t.notEqual(shapeup.fromShape(source, shape, {cache: false}), obj);
+    // Reshaping is cached as well.
+    const subShape = shapeup.shape({field1: PropTypes.number});
+    t.equal(obj.reshape(subShape), obj.reshape(subShape));
+    t.end();
+  });
+
+  t.test('does not cache mutable objects', t => {
+    const shape = shapeup.shape({field1: PropTypes.number});
+    const source = {field1: 42};
+    const obj = shapeup.fromShape(source, shape);
+    t.notEqual(shapeup.fromShape(source, shape), obj);
+    const mutable = shapeup.fromShape(
+      Object.freeze(source), shape, {mutable: true});
+    t.notEqual(shapeup.fromShape(source, shape, {mutable: true}), mutable);
+    t.end();
+  });
+
+  t.test('does not cache frozen objects with mutable nested values', t => {
+    const shape = shapeup.shape({
+      user: shapeup.shape({name: PropTypes.string})
+    });
+    const user = {name: 'a'};
+    const source = Object.freeze({user: user});
+    t.equal(shapeup.fromShape(source, shape).user.name, 'a');
+    user.name = 'b';
+    t.equal(shapeup.fromShape(source, shape).user.name, 'b');
+    // Collections cannot be frozen.
+    const collections = shapeup.shape({ids: PropTypes.instanceOf(Set)});
+    const ids = Object.freeze({ids: Object.freeze(new Set([1]))});
+    t.notEqual(
+      shapeup.fromShape(ids, collections),
+      shapeup.fromShape(ids, collections));
+    // Deeply frozen sources are cached.
+    const frozen = shapeup.deepFreeze({user: {name: 'c'}});
+    t.equal(
+      shapeup.fromShape(frozen, shape), shapeup.fromShape(frozen, shape));
+    t.end();
+  });
+
+  t.test('does not cache frozen objects with getters', t => {
+    const shape = shapeup.shape({isLoading: PropTypes.bool});
+    let loading = true;
+    const source = Object.freeze({
+      get isLoading() {
+        return loading;
+      }
+    });
+    t.equal(shapeup.fromShape(source, shape).isLoading, true);
+    loading = false;
+    t.equal(shapeup.fromShape(source, shape).isLoading, false);
+    // Getters in nested shapes are detected as well.
+    const outer = shapeup.shape({inner: shape});
+    const nested = Object.freeze({inner: source});
+    t.notEqual(
+      shapeup.fromShape(nested, outer), shapeup.fromShape(nested, outer));
+    // Getters are forwarded when accessors are preserved.
+    const options = {accessors: true};
+    const obj = shapeup.fromShape(source, shape, options);
+    t.equal(shapeup.fromShape(source, shape, options), obj);
+    loading = true;
+    t.equal(obj.isLoading, true);
+    t.end();
+  });
+
+  t.test('does not cache frozen objects with mutable prototypes', t => {
+    const shape = shapeup.shape({x: PropTypes.number});
+    const proto = {x: 1};
+    const source = Object.freeze(Object.create(proto));
+    t.equal(shapeup.fromShape(source, shape).x, 1);
+    proto.x = 2;
+    t.equal(shapeup.fromShape(source, shape).x, 2);
+    // Frozen prototypes are fine.
+    const frozen = Object.freeze(Object.create(Object.freeze({x: 3})));
+    t.equal(
+      shapeup.fromShape(frozen, shape), shapeup.fromShape(frozen, shape));
+    t.end();
+  });
+
   t.test('deeply freeze the resulting object', t => {
     const shape = shapeup.shape({
       field1: PropTypes.array.isRequired,
@@ -297,6 +1895,618 @@ test('fromShape', t => {
     t.notOk(Object.isFrozen(obj.field1));
     t.end();
   });
+
+  const guarded = shapeup.shape({
+    id: PropTypes.number,
+    owner: shapeup.shape({name: PropTypes.string}),
+    tags: PropTypes.arrayOf(PropTypes.string),
+    data: PropTypes.object,
+    ids: PropTypes.instanceOf(Set),
+    byId: PropTypes.instanceOf(Map),
+    created: PropTypes.instanceOf(Date),
+    reshape: shapeup.reshapeFunc
+  });
+  const guardedSource = () => {
+    return {
+      id: 1,
+      owner: {name: 'Alice'},
+      tags: ['a', 'b'],
+      data: {nested: {value: 42}},
+      ids: new Set([1, 2]),
+      byId: new Map([[1, {name: 'Bob'}]]),
+      created: new Date(0)
+    };
+  };
+
+  t.test('guards against mutations', t => {
+    const tests = [{
+      about: 'setting fields',
+      mutate: obj => {
+        obj.id = 2;
+      },
+      expected: 'cannot set "id"'
+    }, {
+      about: 'setting nested fields',
+      mutate: obj => {
+        obj.owner.name = 'Eve';
+      },
+      expected: 'cannot set "owner.name"'
+    }, {
+      about: 'setting deeply nested values',
+      mutate: obj => {
+        obj.data.nested.value = 47;
+      },
+      expected: 'cannot set "data.nested.value"'
+    }, {
+      about: 'deleting fields',
+      mutate: obj => {
+        delete obj.owner.name;
+      },
+      expected: 'cannot delete "owner.name"'
+    }, {
+      about: 'defining properties',
+      mutate: obj => {
+        Object.defineProperty(obj, 'other', {value: 1});
+      },
+      expected: 'cannot define "other"'
+    }, {
+      about: 'changing the prototype',
+      mutate: obj => {
+        Object.setPrototypeOf(obj, null);
+      },
+      expected: 'cannot set the prototype of the object'
+    }, {
+      about: 'setting array items',
+      mutate: obj => {
+        obj.tags[0] = 'c';
+      },
+      expected: 'cannot set "tags.0"'
+    }, {
+      about: 'calling array mutating methods',
+      mutate: obj => {
+        obj.tags.sort();
+      },
+      expected: 'cannot call "tags.sort()"'
+    }, {
+      about: 'calling set mutating methods',
+      mutate: obj => {
+        obj.ids.add(3);
+      },
+      expected: 'cannot call "ids.add()"'
+    }, {
+      about: 'calling map mutating methods',
+      mutate: obj => {
+        obj.byId.clear();
+      },
+      expected: 'cannot call "byId.clear()"'
+    }, {
+      about: 'setting map values',
+      mutate: obj => {
+        obj.byId.get(1).name = 'Eve';
+      },
+      expected: 'cannot set "byId.1.name"'
+    }, {
+      about: 'calling date mutating methods',
+      mutate: obj => {
+        obj.created.setFullYear(2000);
+      },
+      expected: 'cannot call "created.setFullYear()"'
+    }];
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      t.test(test.about, t => {
+        const obj = shapeup.fromShape(
+          guardedSource(), guarded, {guard: true});
+        t.throws(() => {
+          test.mutate(obj);
+        }, new RegExp(
+          `^TypeError: ${test.expected.replace(/[().]/g, '\\$&')}: the ` +
+          'object built from the shape is immutable$'
+        ));
+        t.end();
+      });
+    }
+  });
+
+  t.test('includes the shape name in guard errors', t => {
+    const obj = shapeup.fromShape(guardedSource(), guarded, {guard: 'Api'});
+    t.throws(() => {
+      obj.owner.name = 'Eve';
+    }, /cannot set "owner.name": the object built from the shape "Api" is/);
+    t.end();
+  });
+
+  t.test('uses the declared shape name in guard errors', t => {
+    const propType = shapeup.shape(guarded[SHAPE].shape, {name: 'Declared'});
+    const obj = shapeup.fromShape(guardedSource(), propType, {guard: true});
+    t.throws(() => {
+      obj.owner.name = 'Eve';
+    }, /the object built from the shape "Declared" is immutable/);
+    t.end();
+  });
+
+  t.test('preserves the behavior of guarded objects', t => {
+    const source = guardedSource();
+    const obj = shapeup.fromShape(source, guarded, {guard: true});
+    t.equal(obj.owner.name, 'Alice');
+    t.deepEqual(obj.tags.map(tag => tag.toUpperCase()), ['A', 'B']);
+    t.equal(obj.data.nested.value, 42);
+    t.equal(obj.ids.has(2), true);
+    t.equal(obj.ids.size, 2);
+    t.deepEqual(obj.byId.get(1), {name: 'Bob'});
+    t.equal(obj.created.getTime(), 0);
+    t.equal(validateProp(guarded.frozen, obj), null);
+    checkFrozen(t, obj);
+    // Values not declared as shapes are copied.
+    source.tags.push('c');
+    t.equal(obj.tags.length, 2);
+    t.end();
+  });
+
+  t.test('guards reshaped objects', t => {
+    const obj = shapeup.fromShape(guardedSource(), guarded, {guard: 'Api'});
+    const reshaped = obj.reshape(shapeup.shape({tags: PropTypes.array}));
+    t.throws(() => {
+      reshaped.tags.push('c');
+    }, /cannot call "tags.push\(\)": the object built from the shape "Api"/);
+    t.end();
+  });
+
+  t.test('fails when guarding mutable objects', t => {
+    t.throws(() => {
+      shapeup.fromShape({}, guarded, {guard: true, mutable: true});
+    }, /the "guard" and "mutable" options are incompatible/);
+    t.end();
+  });
+
+  t.test('fails for sources that are not objects', t => {
+    const propType = shapeup.shape({length: PropTypes.number}, {name: 'Api'});
+    t.throws(() => {
+      shapeup.fromShape('abc', propType);
+    }, /^Error: shape "Api": cannot build the shape: the source must be an/);
+    t.throws(() => {
+      shapeup.fromShape('abc', propType);
+    }, /the source must be an object, but string "abc" has been provided$/);
+    t.throws(() => {
+      shapeup.fromShape([{}, 42], propType);
+    }, /the source must be an object, but number "42" has been provided/);
+    t.throws(() => {
+      shapeup.fromShape({}, propType, {sources: {length: true}});
+    }, /the source must be an object, but boolean "true" has been provided/);
+    t.deepEqual(shapeup.fromShape(null, propType), {});
+    t.end();
+  });
+
+  t.test('detects required fields in production builds', t => {
+    const result = runProduction([
+      'const propType = shapeup.shape({',
+      '  a: PropTypes.number,',
+      '  b: PropTypes.string,',
+      '  nested: shapeup.shape({c: PropTypes.number}).isRequired',
+      '});',
+      'const obj = shapeup.fromShape({a: 1, nested: {}}, propType);',
+      'let message = null;',
+      'try {',
+      '  shapeup.fromShape({a: 1}, propType);',
+      '} catch(err) {',
+      '  message = err.message;',
+      '}',
+      'console.log(JSON.stringify([obj, message]));'
+    ]);
+    t.deepEqual(result[0], {a: 1, nested: {}});
+    t.ok(result[1].includes('the field "nested" is required'), result[1]);
+    t.end();
+  });
+});
+
+test('merge', t => {
+  t.test('merges two shapes', t => {
+    const propType = shapeup.merge(shapeup.shape({
+      field1: PropTypes.number.isRequired,
+      field2: PropTypes.string
+    }, {rename: {field1: 'id'}, defaults: {field2: 'who'}}), shapeup.shape({
+      field2: PropTypes.string.isRequired,
+      field3: PropTypes.bool
+    }, {defaults: {field3: false}}));
+    const declaration = propType[SHAPE];
+    t.deepEqual(Object.keys(declaration.shape), [
+      'field1', 'field2', 'field3'
+    ]);
+    t.equal(declaration.shape.field2, PropTypes.string.isRequired);
+    t.deepEqual(declaration.rename, {field1: 'id'});
+    t.deepEqual(declaration.defaults, {field2: 'who', field3: false});
+    const obj = shapeup.fromShape({id: 42}, propType);
+    t.deepEqual(obj, {field1: 42, field2: 'who', field3: false});
+    t.end();
+  });
+
+  t.test('preserves the options of the first shape', t => {
+    const symbol = Symbol('field');
+    const fields = {field1: PropTypes.func};
+    fields[symbol] = PropTypes.number;
+    const propType = shapeup.merge(shapeup.shape(fields, {
+      keys: 'own',
+      symbols: true,
+      bind: ['field1'],
+      mode: 'throw',
+      freeze: {typedArrays: 'reject'}
+    }), shapeup.shape({field2: PropTypes.string}, {
+      freeze: {collections: 'shallow'}
+    }));
+    const options = shapeup.describe(propType).options;
+    t.equal(options.keys, 'own');
+    t.equal(options.symbols, true);
+    t.deepEqual(options.bind, ['field1']);
+    t.equal(options.mode, 'throw');
+    t.deepEqual(options.freeze, {
+      collections: 'shallow',
+      typedArrays: 'reject',
+      elements: 'skip'
+    });
+    t.deepEqual(propType[SHAPE].fields(), ['field1', 'field2', symbol]);
+    // Options declared in the second shape take precedence.
+    const overridden = shapeup.merge(propType, shapeup.shape({}, {
+      keys: 'inherited',
+      mode: 'ignore'
+    }));
+    t.equal(shapeup.describe(overridden).options.keys, 'inherited');
+    t.equal(shapeup.describe(overridden).options.mode, 'ignore');
+    t.end();
+  });
+
+  t.test('combines the variations', t => {
+    const base1 = shapeup.shape({field1: PropTypes.number});
+    const base2 = shapeup.shape({field2: PropTypes.number});
+    let propType = shapeup.merge(base1.frozen, base2.isRequired);
+    t.equal(propType, propType[SHAPE].propType.frozen.isRequired);
+    propType = shapeup.merge(base1, base2);
+    t.equal(propType, propType[SHAPE].propType);
+    t.end();
+  });
+});
+
+test('mock', t => {
+  const owner = shapeup.shape({
+    name: PropTypes.string.isRequired,
+    age: PropTypes.number
+  });
+  const propType = shapeup.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    visible: PropTypes.bool,
+    tags: shapeup.arrayOf(PropTypes.string).isRequired,
+    scores: PropTypes.objectOf(PropTypes.number),
+    owner: owner.isRequired,
+    size: PropTypes.oneOf(['small', 'large']),
+    save: PropTypes.func.isRequired,
+    reshape: shapeup.reshapeFunc
+  }, {defaults: {visible: true}});
+
+  t.test('builds a valid deeply frozen object', t => {
+    const obj = shapeup.mock(propType.frozen.isRequired);
+    t.equal(shapeup.validate(obj, propType.frozen.isRequired), null);
+    t.equal(obj.id, 0);
+    t.equal(obj.title, 'title');
+    t.equal(obj.visible, true);
+    t.deepEqual(obj.tags, []);
+    t.deepEqual(obj.owner, {name: 'owner.name', age: 0});
+    t.equal('scores' in obj, false);
+    t.equal('size' in obj, false);
+    checkFrozen(t, obj);
+    t.end();
+  });
+
+  t.test('records function calls', t => {
+    const obj = shapeup.mock(propType);
+    t.deepEqual(obj.save.calls, []);
+    obj.save(1, 'who');
+    obj.save();
+    t.deepEqual(obj.save.calls, [[1, 'who'], []]);
+    t.equal(obj.save.name, 'save');
+    t.end();
+  });
+
+  t.test('adds a working reshape function', t => {
+    const obj = shapeup.mock(propType);
+    const reshaped = obj.reshape(shapeup.shape({id: PropTypes.number}));
+    t.deepEqual(reshaped, {id: 0});
+    t.end();
+  });
+
+  t.test('applies overrides', t => {
+    const save = () => {};
+    const obj = shapeup.mock(propType, {
+      id: 42,
+      visible: undefined,
+      owner: {name: 'who'},
+      size: 'large',
+      save: save
+    });
+    t.equal(obj.id, 42);
+    t.equal('visible' in obj, false);
+    t.deepEqual(obj.owner, {name: 'who', age: 0});
+    t.equal(obj.size, 'large');
+    t.equal(obj.save, save);
+    t.end();
+  });
+
+  t.test('fails for undeclared overrides', t => {
+    t.throws(() => {
+      shapeup.mock(propType, {bad: true});
+    }, /cannot mock field "bad": the field is not declared in the shape/);
+    t.throws(() => {
+      shapeup.mock(propType, {owner: {bad: true}});
+    }, /cannot mock field "bad": the field is not declared in the shape/);
+    t.end();
+  });
+
+  t.test('fails for invalid overrides', t => {
+    t.throws(() => {
+      shapeup.mock(propType, {id: 'bad'});
+    }, shapeup.ShapeError);
+    t.end();
+  });
+
+  t.test('fails for required fields that cannot be mocked', t => {
+    t.throws(() => {
+      shapeup.mock(shapeup.shape({
+        owner: shapeup.shape({
+          created: PropTypes.instanceOf(Date).isRequired
+        })
+      }));
+    }, /cannot mock "owner.created": the field is required but its type/);
+    t.end();
+  });
+
+  t.test('fails for non-shape types', t => {
+    t.throws(() => {
+      shapeup.mock(PropTypes.object);
+    }, /mock called with a non-shape property type/);
+    t.end();
+  });
+
+  t.test('skips checking the mock in production builds', t => {
+    const result = runProduction([
+      'const propType = shapeup.shape({id: PropTypes.number.isRequired});',
+      'const obj = shapeup.mock(propType, {id: 42});',
+      'console.log(JSON.stringify([obj, Object.isFrozen(obj)]));'
+    ]);
+    t.deepEqual(result, [{id: 42}, true]);
+    t.end();
+  });
+});
+
+test('objectOf', t => {
+  const propType = shapeup.objectOf(shapeup.shape({
+    name: PropTypes.string.isRequired
+  }));
+
+  t.test('validates the object values', t => {
+    const err = validateProp(propType, {a: {name: 'who'}, b: {name: 'rose'}});
+    t.equal(err, null);
+    t.end();
+  });
+
+  t.test('fails when values include extraneous fields', t => {
+    const err = validateProp(propType, {a: {name: 'who', bad: 'wolf'}});
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.kind, violation.path];
+    }), [['extraneous', 'api.a.bad']]);
+    t.end();
+  });
+
+  t.test('fails when the value is not an object', t => {
+    const err = validateProp(propType, [{name: 'who'}]);
+    t.equal(
+      err.message,
+      'invalid property "api" provided to component "TestComponent": ' +
+      'expected an object but a value of type "array" has been provided');
+    t.end();
+  });
+});
+
+test('omit', t => {
+  const base = shapeup.shape({
+    field1: PropTypes.number.isRequired,
+    field2: PropTypes.string,
+    field3: PropTypes.bool
+  }, {rename: {field1: 'id', field3: 'visible'}});
+
+  t.test('removes fields from the shape', t => {
+    const propType = shapeup.omit(base.frozen, ['field1', 'field2']);
+    const declaration = propType[SHAPE];
+    t.deepEqual(Object.keys(declaration.shape), ['field3']);
+    t.deepEqual(declaration.rename, {field3: 'visible'});
+    t.equal(propType, declaration.propType.frozen);
+    t.end();
+  });
+
+  t.test('fails for undeclared fields', t => {
+    t.throws(() => {
+      shapeup.omit(base, ['field4']);
+    }, /cannot omit field "field4": the field is not declared in the shape/);
+    t.end();
+  });
+});
+
+test('oneOfType', t => {
+  const propType = shapeup.oneOfType([
+    PropTypes.string,
+    shapeup.shape({name: PropTypes.string.isRequired})
+  ]);
+
+  t.test('validates values matching any of the types', t => {
+    t.equal(validateProp(propType, 'who'), null);
+    t.equal(validateProp(propType, {name: 'who'}), null);
+    t.end();
+  });
+
+  t.test('fails when no type matches', t => {
+    const err = validateProp(propType, {name: 'who', bad: 'wolf'});
+    t.deepEqual(err.violations, [{
+      kind: 'type',
+      path: 'api',
+      expected: 'oneOfType',
+      received: {name: 'who', bad: 'wolf'},
+      message:
+        'invalid property "api" provided to component "TestComponent": ' +
+        'the value does not match any of the types declared in the union'
+    }]);
+    t.end();
+  });
+
+  t.test('supports the isRequired variation', t => {
+    t.equal(validateProp(propType.isRequired, ''), null);
+    const err = validateProp(propType.isRequired, null);
+    t.equal(err.violations[0].kind, 'missing');
+    t.end();
+  });
+});
+
+test('pick', t => {
+  const base = shapeup.shape({
+    field1: PropTypes.number.isRequired,
+    field2: PropTypes.string,
+    reshape: shapeup.reshapeFunc
+  }, {defaults: {field1: 42, field2: 'who'}});
+
+  t.test('only includes the given fields', t => {
+    const propType = shapeup.pick(base.isRequired, ['field2', 'reshape']);
+    const declaration = propType[SHAPE];
+    t.deepEqual(Object.keys(declaration.shape), ['field2', 'reshape']);
+    t.deepEqual(declaration.defaults, {field2: 'who'});
+    t.equal(propType, declaration.propType.isRequired);
+    const obj = shapeup.fromShape({field1: 47}, propType);
+    t.deepEqual(Object.keys(obj), ['field2', 'reshape']);
+    t.end();
+  });
+
+  t.test('fails for undeclared fields', t => {
+    t.throws(() => {
+      shapeup.pick(base, ['field4']);
+    }, /cannot pick field "field4": the field is not declared in the shape/);
+    t.end();
+  });
+});
+
+test('react', t => {
+  const apiType = shapeup.shape({
+    name: PropTypes.string.isRequired,
+    getName: PropTypes.func.isRequired,
+    reshape: shapeup.reshapeFunc
+  });
+  const makeStore = name => {
+    return {
+      name: name,
+      extra: true,
+      getName: function() {
+        return this.name;
+      }
+    };
+  };
+
+  t.test('useShape builds and memoizes shaped objects', t => {
+    const results = [];
+    const Component = props => {
+      results.push(shapeupReact.useShape(props.store, apiType, props.options));
+      return null;
+    };
+    const store1 = makeStore('store1');
+    const store2 = makeStore('store2');
+    const element = (store, options) => {
+      return React.createElement(Component, {store: store, options: options});
+    };
+    const renderer = TestRenderer.create(element(store1, {cache: false}));
+    renderer.update(element(store1, {cache: false}));
+    renderer.update(element(store2, {cache: false}));
+    renderer.update(element(store2, {rename: {}}));
+    t.equal(results.length, 4);
+    t.deepEqual(Object.keys(results[0]), ['name', 'getName', 'reshape']);
+    t.equal(results[0].getName(), 'store1');
+    checkFrozen(t, results[0]);
+    // The object is only built again when the source or options change.
+    t.equal(results[1], results[0]);
+    t.notEqual(results[2], results[1]);
+    t.equal(results[2].getName(), 'store2');
+    t.notEqual(results[3], results[2]);
+    renderer.unmount();
+    t.end();
+  });
+
+  t.test('useShape compares lists of sources item by item', t => {
+    const results = [];
+    const Component = props => {
+      results.push(shapeupReact.useShape(
+        [props.user, props.methods], apiType));
+      return null;
+    };
+    const user = {name: 'who'};
+    const methods = {
+      getName: function() {
+        return this === methods ? 'methods' : 'unbound';
+      }
+    };
+    const props = {user: user, methods: methods};
+    const renderer = TestRenderer.create(
+      React.createElement(Component, props));
+    renderer.update(React.createElement(Component, props));
+    t.equal(results[1], results[0]);
+    t.equal(results[0].name, 'who');
+    t.equal(results[0].getName(), 'methods');
+    renderer.unmount();
+    t.end();
+  });
+
+  t.test('useShape passes through missing sources', t => {
+    let result;
+    const Component = () => {
+      result = shapeupReact.useShape(null, apiType);
+      return null;
+    };
+    TestRenderer.create(React.createElement(Component)).unmount();
+    t.equal(result, null);
+    t.end();
+  });
+
+  t.test('withShapes builds shaped props', t => {
+    let received;
+    const Child = props => {
+      received = props;
+      return null;
+    };
+    Child.propTypes = {api: apiType.isRequired, other: apiType};
+    const Wrapped = shapeupReact.withShapes({
+      api: props => props.store,
+      other: 'otherStore'
+    })(Child);
+    t.equal(Wrapped.displayName, 'withShapes(Child)');
+    const store = makeStore('store');
+    const renderer = TestRenderer.create(React.createElement(Wrapped, {
+      store: store,
+      otherStore: makeStore('other'),
+      label: 'who'
+    }));
+    t.equal(received.label, 'who');
+    t.equal(received.store, store);
+    t.deepEqual(Object.keys(received.api), ['name', 'getName', 'reshape']);
+    t.equal(received.api.getName(), 'store');
+    t.equal(received.other.getName(), 'other');
+    const reshaped = received.api.reshape(shapeup.shape({
+      name: PropTypes.string
+    }));
+    t.deepEqual(reshaped, {name: 'store'});
+    renderer.unmount();
+    t.end();
+  });
+
+  t.test('withShapes fails for undeclared props', t => {
+    const Child = () => null;
+    Child.propTypes = {api: apiType};
+    t.throws(() => {
+      shapeupReact.withShapes({bad: 'store'})(Child);
+    }, /cannot shape "bad": the property type is not declared by the /);
+    t.end();
+  });
 });
 
 test('reshapeFunc', t => {
@@ -398,32 +2608,125 @@ test('shape', t => {
         field2: 'these are the voyages'
       }
     };
-    const err = checkPropTypes(propTypes, props);
+    const err = checkPropTypes(propTypes, props);
+    t.equal(err, '');
+    t.end();
+  });
+
+   t.test('fails when extraneous fields outside the shape are provided', t => {
+    const propTypes = {
+      api: shapeup.shape({
+        field1: PropTypes.array.isRequired,
+        field2: PropTypes.string.isRequired
+      }),
+    };
+    const props = {
+      api: {
+        field0: null,
+        field1: [],
+        field2: 'these are the voyages',
+        field3: 'bad wolf'
+      }
+    };
+    const err = checkPropTypes(propTypes, props);
+    t.equal(
+      err,
+      'Warning: Failed testProp type: invalid property "api" provided to ' +
+      'component "TestComponent": the provided object includes properties ' +
+      'that are not declared in the shape: field0, field3');
+    t.end();
+  });
+
+  t.test('handles inherited properties based on the keys policy', t => {
+    class Base {
+      get name() {
+        return 'who';
+      }
+      greet() {}
+    }
+    class Entity extends Base {
+      constructor() {
+        super();
+        this.id = 42;
+      }
+    }
+    const fields = {
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired
+    };
+    const entity = new Entity();
+    // Lenient: inherited fields are allowed and extra ones ignored.
+    t.equal(validateProp(shapeup.shape(fields), entity), null);
+    // Own: inherited fields are considered missing.
+    let err = validateProp(shapeup.shape(fields, {keys: 'own'}), entity);
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.kind, violation.path];
+    }), [['missing', 'api.name']]);
+    // Inherited: inherited extraneous fields are rejected.
+    err = validateProp(shapeup.shape(fields, {keys: 'inherited'}), entity);
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.kind, violation.path];
+    }), [['extraneous', 'api.greet']]);
+    t.end();
+  });
+
+  t.test('fails for invalid keys policies', t => {
+    t.throws(() => {
+      shapeup.shape({}, {keys: 'bad-wolf'});
+    }, /invalid keys policy "bad-wolf": use one of lenient, own, inherited/);
+    t.end();
+  });
+
+  t.test('ignores symbol keys by default', t => {
+    const propTypes = {
+      api: shapeup.shape({
+        field1: PropTypes.number.isRequired
+      })
+    };
+    const api = {field1: 42};
+    api[Symbol('tardis')] = true;
+    const err = checkPropTypes(propTypes, {api: api});
     t.equal(err, '');
     t.end();
   });
 
-   t.test('fails when extraneous fields outside the shape are provided', t => {
-    const propTypes = {
-      api: shapeup.shape({
-        field1: PropTypes.array.isRequired,
-        field2: PropTypes.string.isRequired
-      }),
-    };
-    const props = {
-      api: {
-        field0: null,
-        field1: [],
-        field2: 'these are the voyages',
-        field3: 'bad wolf'
-      }
-    };
-    const err = checkPropTypes(propTypes, props);
-    t.equal(
-      err,
-      'Warning: Failed testProp type: invalid property "api" provided to ' +
-      'component "TestComponent": the provided object includes properties ' +
-      'that are not declared in the shape: field0, field3');
+  t.test('optionally handles symbol keys', t => {
+    const id = Symbol('id');
+    const fields = {field1: PropTypes.number.isRequired};
+    fields[id] = PropTypes.string.isRequired;
+    const propType = shapeup.shape(fields, {symbols: true});
+    const api = {field1: 42};
+    api[id] = 'who';
+    t.equal(validateProp(propType, api), null);
+    api[id] = 47;
+    api[Symbol('tardis')] = true;
+    const err = validateProp(propType, api);
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.kind, violation.path];
+    }), [['type', 'api.Symbol(id)'], ['extraneous', 'api.Symbol(tardis)']]);
+    t.end();
+  });
+
+  t.test('checks missing fields using default values', t => {
+    const propType = shapeup.shape({
+      visible: PropTypes.bool.isRequired,
+      size: PropTypes.number.isRequired
+    }, {defaults: {visible: false, size: 'big'}});
+    t.deepEqual(propType[SHAPE].defaults, {visible: false, size: 'big'});
+    const err = validateProp(propType, {});
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.kind, violation.path, violation.received];
+    }), [['type', 'api.size', 'big']]);
+    t.equal(validateProp(propType, {size: 42}), null);
+    t.end();
+  });
+
+  t.test('fails for defaults of undeclared fields', t => {
+    t.throws(() => {
+      shapeup.shape({}, {defaults: {visible: false}});
+    }, new RegExp(
+      'cannot set the default value of field "visible": the field is not ' +
+      'declared in the shape'));
     t.end();
   });
 
@@ -507,21 +2810,21 @@ test('shape', t => {
         field1: [42, 47],
         field2: {who: new Map()}
       },
-      expected: 'api'
+      expected: ['api', 'api.field1', 'api.field2', 'api.field2.who']
     }, {
       about: 'not internally frozen',
       input: Object.freeze({
         field1: [42, 47],
         field2: {who: new Map()}
       }),
-      expected: 'api.field1'
+      expected: ['api.field1', 'api.field2', 'api.field2.who']
     }, {
       about: 'not internally deeply frozen',
       input: Object.freeze({
         field1: Object.freeze([42, 47]),
         field2: Object.freeze({who: new Map()})
       }),
-      expected: 'api.field2.who'
+      expected: ['api.field2.who']
     }];
     const propTypes = {
       api: shapeup.shape({
@@ -534,14 +2837,953 @@ test('shape', t => {
       t.test(test.about, t => {
         const props = {api: test.input};
         const err = checkPropTypes(propTypes, props);
+        const messages = test.expected.map(path => {
+          return (
+            `the property "${path}" provided to component "TestComponent" ` +
+            'is not frozen');
+        });
         t.equal(
-          err,
-          `Warning: Failed testProp type: the property "${test.expected}" ` +
-          'provided to component "TestComponent" is not frozen', test.about);
+          err, `Warning: Failed testProp type: ${messages.join('\n')}`,
+          test.about);
          t.end();
       });
     }
   });
+
+  t.test('checks frozen values based on the freeze policy', t => {
+    const element = () => {
+      return {$$typeof: Symbol.for('react.element'), props: {}};
+    };
+    const cyclic = () => {
+      const obj = {};
+      obj.child = {parent: obj};
+      return obj;
+    };
+    const tests = [{
+      about: 'cyclic objects (frozen)',
+      input: shapeup.deepFreeze(cyclic()),
+      expected: []
+    }, {
+      about: 'cyclic objects (not frozen)',
+      input: cyclic(),
+      expected: ['api.field', 'api.field.child']
+    }, {
+      about: 'map values (deep)',
+      input: Object.freeze(new Map([['key', {}]])),
+      expected: ['api.field.key']
+    }, {
+      about: 'map values (shallow)',
+      policy: {collections: 'shallow'},
+      input: Object.freeze(new Map([['key', {}]])),
+      expected: []
+    }, {
+      about: 'set values (deep)',
+      input: Object.freeze(new Set([Object.freeze({}), {}])),
+      expected: ['api.field.1']
+    }, {
+      about: 'set values (shallow)',
+      policy: {collections: 'shallow'},
+      input: Object.freeze(new Set([{}])),
+      expected: []
+    }, {
+      about: 'typed arrays (ignore)',
+      input: new Uint8Array(2),
+      expected: []
+    }, {
+      about: 'typed arrays (reject)',
+      policy: {typedArrays: 'reject'},
+      input: new Uint8Array(2),
+      expected: ['api.field']
+    }, {
+      about: 'React elements (skip)',
+      input: element(),
+      expected: []
+    }, {
+      about: 'React elements (freeze)',
+      policy: {elements: 'freeze'},
+      input: element(),
+      expected: ['api.field', 'api.field.props']
+    }, {
+      about: 'DOM nodes (skip)',
+      input: {nodeType: 1, nodeName: 'DIV'},
+      expected: []
+    }, {
+      about: 'DOM nodes (freeze)',
+      policy: {elements: 'freeze'},
+      input: {nodeType: 1, nodeName: 'DIV'},
+      expected: ['api.field']
+    }];
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      t.test(test.about, t => {
+        const propType = shapeup.shape({
+          field: PropTypes.any
+        }, {freeze: test.policy}).frozen;
+        const err = validateProp(propType, Object.freeze({field: test.input}));
+        const paths = err ? err.violations.map(violation => {
+          return violation.path;
+        }) : [];
+        t.deepEqual(paths, test.expected, test.about);
+        t.end();
+      });
+    }
+  });
+
+  t.test('caches values verified as deeply frozen', t => {
+    let count = 0;
+    const counted = value => {
+      // Count the reads of the "a" property, performed when walking values.
+      return new Proxy(value, {
+        get: (target, key) => {
+          count += key === 'a' ? 1 : 0;
+          return target[key];
+        }
+      });
+    };
+    const propType = shapeup.shape({field: PropTypes.any}).frozen;
+    const frozen = Object.freeze({
+      field: counted(Object.freeze({a: Object.freeze({})}))
+    });
+    const unfrozen = Object.freeze({field: counted({a: {}})});
+    t.equal(validateProp(propType, frozen), null);
+    t.equal(validateProp(propType, frozen), null);
+    t.equal(count, 1);
+    // Values are not cached until they are deeply frozen.
+    t.notEqual(validateProp(propType, unfrozen), null);
+    t.notEqual(validateProp(propType, unfrozen), null);
+    t.equal(count, 3);
+    // Values frozen with deepFreeze are already verified.
+    count = 0;
+    const built = shapeup.deepFreeze({field: counted({a: {}})});
+    t.equal(count, 1);
+    t.equal(validateProp(propType, built), null);
+    t.equal(count, 1);
+    t.end();
+  });
+
+  t.test('does not cache values including collections', t => {
+    const propType = shapeup.shape({field: PropTypes.any}).frozen;
+    const map = Object.freeze(new Map());
+    const obj = shapeup.deepFreeze({field: {map: map}});
+    t.equal(validateProp(propType, obj), null);
+    map.set('key', {});
+    t.deepEqual(validateProp(propType, obj).violations.map(violation => {
+      return violation.path;
+    }), ['api.field.map.key']);
+    t.end();
+  });
+
+  t.test('reports typed arrays rejected by the freeze policy', t => {
+    const propType = shapeup.shape({
+      field: PropTypes.any
+    }, {freeze: {typedArrays: 'reject'}}).frozen;
+    const err = validateProp(propType, {field: new Float32Array(1)});
+    t.equal(
+      err.violations[1].message,
+      'the property "api.field" provided to component "TestComponent" is a ' +
+      'typed array, which cannot be frozen');
+    t.end();
+  });
+
+  t.test('uses the freeze policy when building objects', t => {
+    const source = {field: new Uint8Array(2)};
+    let propType = shapeup.shape({field: PropTypes.any});
+    const obj = shapeup.fromShape(source, propType);
+    t.equal(Object.isFrozen(obj), true);
+    t.equal(Object.isFrozen(obj.field), false);
+    propType = shapeup.shape(
+      {field: PropTypes.any}, {freeze: {typedArrays: 'reject'}});
+    t.throws(() => {
+      shapeup.fromShape(source, propType);
+    }, /cannot freeze "field": typed arrays cannot be frozen/);
+    t.end();
+  });
+
+  t.test('fails for invalid freeze policies', t => {
+    t.throws(() => {
+      shapeup.shape({}, {freeze: {bad: 'deep'}});
+    }, /invalid freeze policy "bad": use one of collections, typedArrays,/);
+    t.throws(() => {
+      shapeup.shape({}, {freeze: {collections: 'bad'}});
+    }, /invalid freeze policy "collections" value "bad": use one of deep,/);
+    t.end();
+  });
+});
+
+test('ShapeError', t => {
+  const propType = shapeup.shape({
+    field1: PropTypes.number.isRequired,
+    field2: PropTypes.string,
+    field3: shapeup.shape({
+      leaf: PropTypes.bool.isRequired
+    }).isRequired
+  });
+
+  t.test('includes all the violations', t => {
+    const api = {
+      field2: 42,
+      field3: {leaf: 'bad wolf', extra: true},
+      field4: 'these are the voyages'
+    };
+    const err = validateProp(propType, api);
+    t.ok(err instanceof shapeup.ShapeError);
+    t.ok(err instanceof Error);
+    t.equal(err.name, 'ShapeError');
+    t.deepEqual(err.violations.map(violation => {
+      return {
+        kind: violation.kind,
+        path: violation.path,
+        expected: violation.expected,
+        received: violation.received
+      };
+    }), [{
+      kind: 'missing',
+      path: 'api.field1',
+      expected: 'number',
+      received: undefined
+    }, {
+      kind: 'type',
+      path: 'api.field2',
+      expected: 'string',
+      received: 42
+    }, {
+      kind: 'type',
+      path: 'api.field3.leaf',
+      expected: 'bool',
+      received: 'bad wolf'
+    }, {
+      kind: 'extraneous',
+      path: 'api.field3.extra',
+      expected: null,
+      received: true
+    }, {
+      kind: 'extraneous',
+      path: 'api.field4',
+      expected: null,
+      received: 'these are the voyages'
+    }]);
+    t.equal(err.message, err.violations.map(violation => {
+      return violation.message;
+    }).join('\n'));
+    t.end();
+  });
+
+  t.test('reports missing nested shapes', t => {
+    const api = {field1: 42};
+    const err = validateProp(propType, api);
+    t.equal(err.violations.length, 1);
+    t.equal(err.violations[0].kind, 'missing');
+    t.equal(err.violations[0].path, 'api.field3');
+    t.equal(err.violations[0].expected, 'shape');
+    t.equal(
+      err.message,
+      'the property "api.field3" is marked as required for the component ' +
+      '"TestComponent" but "undefined" has been provided');
+    t.end();
+  });
+
+  t.test('reports values that are not objects', t => {
+    const err = validateProp(propType, 'bad wolf');
+    t.deepEqual(err.violations, [{
+      kind: 'type',
+      path: 'api',
+      expected: 'object',
+      received: 'bad wolf',
+      message:
+        'invalid property "api" provided to component "TestComponent": ' +
+        'expected an object but a value of type "string" has been provided'
+    }]);
+    t.end();
+  });
+
+  t.test('groups messages for extraneous fields', t => {
+    const api = {field1: 42, field3: {leaf: true}, bad: 1, wolf: 2};
+    const err = validateProp(propType, api);
+    t.equal(err.violations.length, 2);
+    t.equal(
+      err.message,
+      'invalid property "api" provided to component "TestComponent": the ' +
+      'provided object includes properties that are not declared in the ' +
+      'shape: bad, wolf');
+    t.end();
+  });
+
+  t.test('includes both unfrozen values and shape violations', t => {
+    const frozen = propType.frozen;
+    const api = {field1: 42, field3: Object.freeze({leaf: true}), bad: 1};
+    const err = validateProp(frozen, api);
+    t.deepEqual(err.violations.map(violation => violation.kind), [
+      'unfrozen', 'extraneous'
+    ]);
+    t.end();
+  });
+
+  t.test('attributes violations to named shapes', t => {
+    const leaf = shapeup.shape({value: PropTypes.number}, {name: 'Leaf'});
+    const named = shapeup.shape({
+      id: PropTypes.number.isRequired,
+      leaf: leaf,
+      anonymous: shapeup.shape({flag: PropTypes.bool})
+    }, {name: 'EntityApi'});
+    const err = validateProp(named, {
+      leaf: {value: 'bad'},
+      anonymous: {flag: 'wolf'},
+      extra: true
+    });
+    t.deepEqual(err.violations.map(violation => {
+      return [violation.path, violation.shape];
+    }), [
+      ['api.id', 'EntityApi'],
+      ['api.leaf.value', 'Leaf'],
+      ['api.anonymous.flag', 'EntityApi'],
+      ['api.extra', 'EntityApi']
+    ]);
+    t.equal(
+      err.violations[3].message,
+      'shape "EntityApi": invalid property "api" provided to component ' +
+      '"TestComponent": the provided object includes properties that are ' +
+      'not declared in the shape: extra');
+    t.ok(err.violations[1].message.startsWith('shape "Leaf": '));
+    t.end();
+  });
+
+  t.test('attributes missing and unfrozen values to named shapes', t => {
+    const named = shapeup.shape({value: PropTypes.number}, {name: 'Api'});
+    let err = validateProp(named.frozen.isRequired, undefined);
+    t.equal(err.violations[0].shape, 'Api');
+    t.equal(
+      err.message,
+      'shape "Api": the property "api" is marked as required for the ' +
+      'component "TestComponent" but "undefined" has been provided');
+    err = validateProp(named.frozen, {value: 42});
+    t.deepEqual(err.violations.map(violation => violation.shape), ['Api']);
+    t.equal(
+      err.message,
+      'shape "Api": the property "api" provided to component ' +
+      '"TestComponent" is not frozen');
+    t.end();
+  });
+
+  t.test('does not attribute violations to unnamed shapes', t => {
+    const err = validateProp(propType, {field1: 'bad'});
+    t.notOk('shape' in err.violations[0]);
+    t.end();
+  });
+});
+
+test('toJSONSchema', t => {
+  const user = shapeup.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string,
+    admin: PropTypes.bool,
+    tags: shapeup.arrayOf(PropTypes.string),
+    scores: shapeup.objectOf(PropTypes.number),
+    value: shapeup.oneOfType([PropTypes.string, PropTypes.number]),
+    friend: shapeup.shape({nick: PropTypes.string.isRequired}).isRequired,
+    onClick: PropTypes.func
+  }, {defaults: {name: 'anonymous'}});
+
+  const schema = {
+    type: 'object',
+    properties: {
+      id: {type: 'number'},
+      name: {type: 'string', default: 'anonymous'},
+      admin: {type: 'boolean'},
+      tags: {type: 'array', items: {type: 'string'}},
+      scores: {type: 'object', additionalProperties: {type: 'number'}},
+      value: {anyOf: [{type: 'string'}, {type: 'number'}]},
+      friend: {
+        type: 'object',
+        properties: {nick: {type: 'string'}},
+        required: ['nick'],
+        additionalProperties: false
+      },
+      onClick: {}
+    },
+    required: ['id', 'friend'],
+    additionalProperties: false
+  };
+
+  t.test('converts shapes', t => {
+    t.deepEqual(shapeup.toJSONSchema(user), schema);
+    t.deepEqual(shapeup.toJSONSchema(user.frozen.isRequired), schema);
+    t.end();
+  });
+
+  t.test('omits reshape placeholders', t => {
+    const propType = shapeup.extend(user, {reshape: shapeup.reshapeFunc});
+    t.deepEqual(shapeup.toJSONSchema(propType), schema);
+    t.end();
+  });
+
+  t.test('converts collections', t => {
+    t.deepEqual(shapeup.toJSONSchema(shapeup.arrayOf(user)), {
+      type: 'array', items: schema
+    });
+    t.deepEqual(shapeup.toJSONSchema(PropTypes.array), {type: 'array'});
+    t.deepEqual(shapeup.toJSONSchema(PropTypes.object), {type: 'object'});
+    t.end();
+  });
+
+  t.test('round-trips through JSON Schema', t => {
+    const propType = shapeup.fromJSONSchema(shapeup.toJSONSchema(user));
+    t.deepEqual(shapeup.toJSONSchema(propType), schema);
+    const value = {
+      id: 1,
+      tags: ['a', 'b'],
+      scores: {a: 1},
+      value: 'who',
+      friend: {nick: 'who'}
+    };
+    t.equal(validateProp(user, value), null);
+    t.equal(validateProp(propType, value), null);
+    const invalid = {id: '1', friend: {}, other: true};
+    t.deepEqual(
+      validateProp(propType, invalid).violations,
+      validateProp(user, invalid).violations
+    );
+    t.end();
+  });
+
+  t.test('converts value types', t => {
+    const propType = shapeup.shape({
+      settings: shapeup.asValue(shapeup.shape({
+        theme: PropTypes.string.isRequired
+      }).isRequired)
+    });
+    t.deepEqual(shapeup.toJSONSchema(propType), {
+      type: 'object',
+      properties: {
+        settings: {
+          type: 'object',
+          properties: {theme: {type: 'string'}},
+          required: ['theme'],
+          additionalProperties: false
+        }
+      },
+      required: ['settings'],
+      additionalProperties: false
+    });
+    t.end();
+  });
+});
+
+test('tree', t => {
+  const owner = shapeup.shape({
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string
+  });
+  // Return a component declaring the given property types.
+  const component = propTypes => {
+    const Component = () => null;
+    Component.propTypes = propTypes;
+    return Component;
+  };
+  const components = {
+    App: {
+      component: component({
+        api: shapeup.shape({
+          id: PropTypes.number.isRequired,
+          title: PropTypes.string.isRequired,
+          owner: owner.isRequired,
+          size: PropTypes.number,
+          reshape: shapeup.reshapeFunc
+        }).isRequired,
+        theme: PropTypes.string
+      }),
+      uses: {api: ['size']}
+    },
+    Header: {
+      component: component({
+        api: shapeup.shape({
+          title: PropTypes.string.isRequired,
+          owner: shapeup.shape({name: PropTypes.string}).isRequired
+        }).isRequired
+      })
+    },
+    Footer: {
+      component: component({
+        api: shapeup.shape({
+          id: PropTypes.number.isRequired,
+          owner: shapeup.shape({avatar: PropTypes.string.isRequired})
+        })
+      })
+    }
+  };
+
+  t.test('reports unsatisfiable reshapes and unused fields', t => {
+    const report = tree.analyze({
+      components: components,
+      reshapes: [
+        {from: 'App.api', to: 'Header.api'},
+        {from: 'App.api', to: 'Footer.api'}
+      ]
+    });
+    t.deepEqual(report, {
+      valid: false,
+      unsatisfiable: [{
+        from: 'App.api',
+        to: 'Footer.api',
+        missing: [{path: 'owner.avatar', expected: 'string'}],
+        mismatched: []
+      }],
+      unused: [{prop: 'App.api', fields: ['owner.email']}]
+    });
+    t.end();
+  });
+
+  t.test('reports valid trees', t => {
+    const report = tree.analyze({
+      components: components,
+      reshapes: [{from: 'App.api', to: 'Header.api'}]
+    });
+    t.deepEqual(report, {
+      valid: true,
+      unsatisfiable: [],
+      unused: [{prop: 'App.api', fields: ['owner.email', 'id']}]
+    });
+    t.end();
+  });
+
+  t.test('fails for invalid reshapes', t => {
+    const tests = [{
+      about: 'invalid format',
+      endpoint: 'App',
+      expected: /invalid reshape endpoint "App": use the "Component.prop"/
+    }, {
+      about: 'undeclared component',
+      endpoint: 'Main.api',
+      expected: /the component "Main" is not declared/
+    }, {
+      about: 'undeclared prop',
+      endpoint: 'App.store',
+      expected: /the property "store" is not declared by the component "App"/
+    }, {
+      about: 'non-shape prop',
+      endpoint: 'App.theme',
+      expected: /the property "theme" of the component "App" is not a shape/
+    }];
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      t.test(test.about, t => {
+        t.throws(() => {
+          tree.analyze({
+            components: components,
+            reshapes: [{from: test.endpoint, to: 'Header.api'}]
+          });
+        }, test.expected);
+        t.end();
+      });
+    }
+  });
+
+  t.test('is available as a command line tool', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shapeup-'));
+    const requirePath = name => JSON.stringify(require.resolve(name));
+    const files = {
+      'app.js': [
+        `const PropTypes = require(${requirePath('prop-types')});`,
+        `const shapeup = require(${requirePath('./shapeup.js')});`,
+        'const App = () => null;',
+        'App.propTypes = {api: shapeup.shape({',
+        '  id: PropTypes.number, title: PropTypes.string',
+        '})};',
+        'module.exports = {App: App};'
+      ].join('\n'),
+      'header.js': [
+        `const PropTypes = require(${requirePath('prop-types')});`,
+        `const shapeup = require(${requirePath('./shapeup.js')});`,
+        'const Header = () => null;',
+        'Header.propTypes = {api: shapeup.shape({',
+        '  title: PropTypes.string.isRequired',
+        '})};',
+        'module.exports = Header;'
+      ].join('\n'),
+      'tree.json': JSON.stringify({
+        components: {
+          App: {module: './app.js', uses: {api: ['id']}},
+          Header: './header.js'
+        },
+        reshapes: [{from: 'App.api', to: 'Header.api'}]
+      })
+    };
+    Object.keys(files).forEach(name => {
+      fs.writeFileSync(path.join(dir, name), files[name]);
+    });
+    const result = childProcess.spawnSync(process.execPath, [
+      path.join(__dirname, 'bin', 'shapeup-tree.js'),
+      path.join(dir, 'tree.json')
+    ]);
+    t.equal(result.status, 1, result.stderr.toString());
+    t.deepEqual(JSON.parse(result.stdout.toString()), {
+      valid: false,
+      unsatisfiable: [{
+        from: 'App.api',
+        to: 'Header.api',
+        missing: [],
+        mismatched: [{
+          path: 'title',
+          expected: 'string',
+          received: 'string',
+          reason: 'optional'
+        }]
+      }],
+      unused: []
+    });
+    Object.keys(files).forEach(name => {
+      fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+    t.end();
+  });
+
+  t.test('reports modules that cannot be loaded', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shapeup-'));
+    const config = path.join(dir, 'tree.json');
+    fs.writeFileSync(config, JSON.stringify({
+      components: {App: './missing.js'},
+      reshapes: []
+    }));
+    const result = childProcess.spawnSync(process.execPath, [
+      path.join(__dirname, 'bin', 'shapeup-tree.js'), config
+    ]);
+    t.equal(result.status, 1);
+    t.ok(result.stderr.toString().includes(
+      'cannot load module "./missing.js" for component "App"'));
+    fs.unlinkSync(config);
+    fs.rmdirSync(dir);
+    t.end();
+  });
+});
+
+test('typescript', t => {
+  const owner = shapeup.shape({
+    name: PropTypes.string.isRequired,
+    'full-name': PropTypes.string
+  });
+  const exports = {
+    owner: owner,
+    entityApi: shapeup.shape({
+      id: PropTypes.number.isRequired,
+      visible: PropTypes.bool,
+      tags: shapeup.arrayOf(PropTypes.string).isRequired,
+      owner: owner.isRequired,
+      frozenOwner: owner.frozen,
+      meta: shapeup.shape({
+        created: PropTypes.instanceOf(Date),
+        scores: shapeup.objectOf(PropTypes.number)
+      }),
+      remove: PropTypes.func.isRequired,
+      reshape: shapeup.reshapeFunc
+    }),
+    config: shapeup.shape({
+      levels: shapeup.arrayOf(shapeup.shape({
+        value: shapeup.oneOfType([PropTypes.string, PropTypes.number])
+      })).isRequired,
+      data: PropTypes.object
+    }).frozen.isRequired,
+    ids: shapeup.arrayOf(PropTypes.number),
+    notAShape: PropTypes.string,
+    reshape: shapeup.reshapeFunc,
+    other: 42
+  };
+
+  t.test('generates TypeScript declarations', t => {
+    t.equal(typescript.generate(exports), [
+      '// Generated by shapeup-typescript: do not edit.',
+      '',
+      'type DeepReadonly<T> =',
+      '  T extends (...args: any[]) => any ? T :',
+      '  T extends object ? {readonly [K in keyof T]: DeepReadonly<T[K]>} :',
+      '  T;',
+      '',
+      'export interface Owner {',
+      '  name: string;',
+      '  "full-name"?: string;',
+      '}',
+      '',
+      'export interface EntityApi {',
+      '  id: number;',
+      '  visible?: boolean;',
+      '  tags: Array<string>;',
+      '  owner: Owner;',
+      '  frozenOwner?: DeepReadonly<Owner>;',
+      '  meta?: {',
+      '    created?: any;',
+      '    scores?: {[key: string]: number};',
+      '  };',
+      '  remove: (...args: any[]) => any;',
+      '  reshape: <T>(propType: any, options?: object) => T;',
+      '}',
+      '',
+      'export interface Config {',
+      '  readonly levels: ReadonlyArray<{',
+      '    readonly value?: string | number;',
+      '  }>;',
+      '  readonly data?: {readonly [key: string]: any};',
+      '}',
+      '',
+      'export type Ids = Array<number>;',
+      ''
+    ].join('\n'));
+    t.end();
+  });
+
+  t.test('is available as a command line tool', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shapeup-'));
+    const module = path.join(dir, 'entity-shape.js');
+    const requirePath = name => JSON.stringify(require.resolve(name));
+    fs.writeFileSync(module, [
+      `const PropTypes = require(${requirePath('prop-types')});`,
+      `const shapeup = require(${requirePath('./shapeup.js')});`,
+      'module.exports = shapeup.shape({id: PropTypes.number});'
+    ].join('\n'));
+    const output = path.join(dir, 'entity-shape.d.ts');
+    const result = childProcess.spawnSync(process.execPath, [
+      path.join(__dirname, 'bin', 'shapeup-typescript.js'), module, output
+    ]);
+    t.equal(result.status, 0, result.stderr.toString());
+    t.equal(
+      fs.readFileSync(output, 'utf8'),
+      '// Generated by shapeup-typescript: do not edit.\n\n' +
+      'export interface EntityShape {\n  id?: number;\n}\n');
+    fs.unlinkSync(module);
+    fs.unlinkSync(output);
+    fs.rmdirSync(dir);
+    t.end();
+  });
+
+  t.test('generates declarations for value types', t => {
+    const settings = shapeup.shape({theme: PropTypes.string.isRequired});
+    const config = shapeup.shape({
+      settings: shapeup.asValue(settings.isRequired)
+    });
+    t.equal(typescript.generate({config: config}), [
+      '// Generated by shapeup-typescript: do not edit.',
+      '',
+      'export interface Config {',
+      '  settings: {',
+      '    theme: string;',
+      '  };',
+      '}',
+      ''
+    ].join('\n'));
+    t.end();
+  });
+
+  t.test('references exported variants and value types by name', t => {
+    const settings = shapeup.shape({theme: PropTypes.string.isRequired});
+    const config = shapeup.shape({
+      value: shapeup.asValue(settings.isRequired),
+      frozenValue: shapeup.asValue(settings.frozen),
+      required: settings.isRequired,
+      frozen: settings.frozen.isRequired,
+      other: settings
+    });
+    t.equal(typescript.generate({settings: settings, config: config}), [
+      '// Generated by shapeup-typescript: do not edit.',
+      '',
+      'type DeepReadonly<T> =',
+      '  T extends (...args: any[]) => any ? T :',
+      '  T extends object ? {readonly [K in keyof T]: DeepReadonly<T[K]>} :',
+      '  T;',
+      '',
+      'export interface Settings {',
+      '  theme: string;',
+      '}',
+      '',
+      'export interface Config {',
+      '  value: Settings;',
+      '  frozenValue?: DeepReadonly<Settings>;',
+      '  required: Settings;',
+      '  frozen: DeepReadonly<Settings>;',
+      '  other?: Settings;',
+      '}',
+      ''
+    ].join('\n'));
+    t.end();
+  });
+});
+
+test('usageReport', t => {
+  const owner = shapeup.shape({
+    name: PropTypes.string,
+    age: PropTypes.number
+  });
+  const propType = shapeup.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string,
+    owner: owner,
+    friends: shapeup.arrayOf(owner),
+    save: PropTypes.func,
+    reshape: shapeup.reshapeFunc
+  });
+  const source = {
+    id: 1,
+    title: 'who',
+    owner: {name: 'Alice', age: 42},
+    friends: [{name: 'Bob', age: 47}],
+    save: () => {}
+  };
+  const byType = propType => {
+    return shapeup.usageReport().filter(entry => {
+      return entry.propType === propType;
+    })[0];
+  };
+
+  t.test('reports accessed and unused fields', t => {
+    shapeup.clearUsage();
+    const obj = shapeup.fromShape(source, propType, {track: true});
+    t.equal(obj.id, 1);
+    t.equal('title' in obj, true);
+    t.equal(obj.owner.name, 'Alice');
+    t.equal(obj.friends[0].age, 47);
+    t.deepEqual(byType(propType), {
+      propType: propType,
+      fields: ['id', 'title', 'owner', 'friends', 'save', 'reshape'],
+      accessed: ['id', 'title', 'owner', 'friends'],
+      unused: ['save', 'reshape']
+    });
+    t.deepEqual(byType(owner).accessed, ['name', 'age']);
+    t.deepEqual(byType(owner).unused, []);
+    t.end();
+  });
+
+  t.test('preserves the behavior of built objects', t => {
+    shapeup.clearUsage();
+    const obj = shapeup.fromShape(source, propType, {track: true});
+    checkFrozen(t, obj);
+    t.deepEqual(obj.owner, {name: 'Alice', age: 42});
+    t.equal(validateProp(propType.frozen, obj), null);
+    const mutable = shapeup.fromShape(
+      source, propType, {track: true, mutable: true});
+    mutable.id = 2;
+    t.equal(mutable.id, 2);
+    t.end();
+  });
+
+  t.test('ignores accesses performed by validators', t => {
+    shapeup.clearUsage();
+    const obj = shapeup.fromShape(source, propType, {track: true});
+    t.equal(validateProp(propType.frozen.isRequired, obj), null);
+    t.deepEqual(byType(propType).accessed, []);
+    t.deepEqual(byType(owner).accessed, []);
+    t.end();
+  });
+
+  t.test('tracks reshaped objects', t => {
+    shapeup.clearUsage();
+    const child = shapeup.shape({owner: owner});
+    const obj = shapeup.fromShape(source, propType, {track: true});
+    const reshaped = obj.reshape(child);
+    t.equal(reshaped.owner.age, 42);
+    t.deepEqual(byType(propType).accessed, ['owner', 'reshape']);
+    t.deepEqual(byType(child).unused, []);
+    t.end();
+  });
+
+  t.test('does not track by default', t => {
+    shapeup.clearUsage();
+    const obj = shapeup.fromShape(source, propType);
+    t.equal(obj.id, 1);
+    t.deepEqual(shapeup.usageReport(), []);
+    t.end();
+  });
+});
+
+test('validate', t => {
+  const propType = shapeup.shape({
+    field1: PropTypes.number.isRequired,
+    field2: shapeup.shape({
+      leaf: PropTypes.string.isRequired
+    }).frozen.isRequired
+  });
+
+  t.test('returns null if the value is valid', t => {
+    const errors = captureErrors(() => {
+      const value = {field1: 42, field2: Object.freeze({leaf: 'tardis'})};
+      t.equal(shapeup.validate(value, propType), null);
+    });
+    t.deepEqual(errors, []);
+    t.end();
+  });
+
+  t.test('returns an error if the value is not valid', t => {
+    const errors = captureErrors(() => {
+      const value = {field1: 'bad wolf', field2: {leaf: 'tardis', who: 1}};
+      const err = shapeup.validate(value, propType);
+      t.ok(err instanceof shapeup.ShapeError);
+      t.deepEqual(err.violations.map(violation => violation.path), [
+        'value.field1', 'value.field2', 'value.field2.who'
+      ]);
+      t.deepEqual(err.violations.map(violation => violation.kind), [
+        'type', 'unfrozen', 'extraneous'
+      ]);
+    });
+    // No warnings about prop-types validators being called directly.
+    t.deepEqual(errors, []);
+    t.end();
+  });
+
+  t.test('validates required values', t => {
+    t.equal(shapeup.validate(undefined, propType), null);
+    const err = shapeup.validate(undefined, propType.isRequired);
+    t.equal(err.violations[0].kind, 'missing');
+    t.end();
+  });
+
+  t.test('can customize names in error messages', t => {
+    const err = shapeup.validate({}, propType.isRequired, {
+      name: 'response',
+      componentName: 'Fetcher'
+    });
+    t.equal(
+      err.message,
+      'The property `response.field1` is marked as required in `Fetcher`, ' +
+      'but its value is `undefined`.\n' +
+      'the property "response.field2" is marked as required for the ' +
+      'component "Fetcher" but "undefined" has been provided');
+    t.end();
+  });
+
+  t.test('accepts prop-types validators', t => {
+    t.equal(shapeup.validate('tardis', PropTypes.string), null);
+    const err = shapeup.validate(42, PropTypes.string.isRequired);
+    t.ok(err instanceof shapeup.ShapeError);
+    t.deepEqual(err.violations, [{
+      kind: 'type',
+      path: 'value',
+      expected: 'string',
+      received: 42,
+      message:
+        'Invalid property `value` of type `number` supplied to ' +
+        '`<<anonymous>>`, expected `string`.'
+    }]);
+    t.end();
+  });
+
+  t.test('is not available in production builds', t => {
+    const result = runProduction([
+      'const propType = shapeup.shape({a: PropTypes.number});',
+      'const messages = [];',
+      'try {',
+      '  shapeup.validate({a: 1}, propType);',
+      '} catch(err) {',
+      '  messages.push(err.message);',
+      '}',
+      'try {',
+      '  shapeup.assert({a: 1}, propType);',
+      '} catch(err) {',
+      '  messages.push(err.message);',
+      '}',
+      'console.log(JSON.stringify(messages));'
+    ]);
+    const message =
+      'cannot validate the value: prop-types validators are not available ' +
+      'in production builds';
+    t.deepEqual(result, [message, message]);
+    t.end();
+  });
 });
 
 // Check that the given object is frozen.
@@ -550,6 +3792,13 @@ const checkFrozen = (t, obj) => {
   t.ok(Object.isFrozen(obj), repr(obj));
 };
 
+// Return the location of the line following the call in this file, at the
+// given column, formatted like the declaration sites of shapes.
+const nextLine = column => {
+  const line = new Error().stack.split('\n')[2].match(/:(\d+):\d+\)?$/)[1];
+  return `${__filename}:${Number(line) + 1}:${column}`;
+};
+
 // Define the property name for the shape information.
 const SHAPE = '__shape__';
 
@@ -567,6 +3816,57 @@ const checkPropTypes = (propTypes, props) => {
   return errors.join(' | ');
 };
 
+// Run the given function and return the errors logged to the console.
+const captureErrors = func => {
+  const original = console.error;
+  const errors = [];
+  console.error = errors.push.bind(errors);
+  try {
+    func();
+  } finally {
+    console.error = original;
+  }
+  return errors;
+};
+
+// Validate the given value as the "api" property using the given type, like
+// prop-types does, but letting errors thrown by the type propagate.
+// Return the resulting error or null if the property is valid.
+const validateProp = (propType, value) => {
+  let secret;
+  const propTypes = {
+    api: (...args) => {
+      secret = args[5];
+      return null;
+    }
+  };
+  PropTypes.checkPropTypes(propTypes, {api: value}, 'prop', 'TestComponent');
+  return propType({api: value}, 'api', 'TestComponent', 'prop', null, secret);
+};
+
+// Run the given lines of code in a separate process with NODE_ENV set to
+// "production", so that the production build of prop-types is used.
+// The "PropTypes" and "shapeup" modules are available to the code.
+// Return the output of the process, parsed as JSON.
+const runProduction = lines => {
+  const requirePath = name => JSON.stringify(require.resolve(name));
+  const code = [
+    `const PropTypes = require(${requirePath('prop-types')});`,
+    `const shapeup = require(${requirePath('./shapeup.js')});`
+  ].concat(lines).join('\n');
+  const result = childProcess.spawnSync(process.execPath, ['-e', code], {
+    encoding: 'utf8',
+    env: Object.assign({}, process.env, {NODE_ENV: 'production'})
+  });
+  if (result.status !== 0) {
+    throw new Error(result.stderr);
+  }
+  return JSON.parse(result.stdout);
+};
+
+// Evaluate the given JavaScript expression and return its value.
+const evaluate = code => new Function(`return (${code});`)();
+
 // Return a string representation for the given object.
 const repr = obj => {
   const seen = new Map();
@@ -0,0 +1,250 @@
+/* Copyright (C) 2017 Francesco Banconi */
+
+/**
+  This module analyzes how shapes are propagated across a component tree, so
+  that the whole shape graph of an application can be verified without
+  rendering it.
+  See also the "shapeup-tree" command line tool.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const shapeup = require('./shapeup.js');
+
+/**
+  Load the component tree described by the given JSON configuration file.
+  The configuration is an object with the following fields:
+    - components: an object mapping component names to the path of the
+      module exporting them, relative to the configuration file, or to an
+      object including the "module" path, the optional "export" name of the
+      component in the module, and the optional "uses" object, mapping the
+      names of the component props to the list of fields directly used by
+      the component. When the export name is not provided, the component is
+      the module itself if it is a function, or its default export, or the
+      export named as the component;
+    - reshapes: a list of parent to child reshape relationships, each one
+      being an object with "from" and "to" fields in the "Component.prop"
+      format, for instance {from: "App.api", to: "Header.api"}.
+  Modules are loaded with require, so components written in JSX or other
+  languages require the corresponding loader to be registered.
+
+  @param {String} file The path of the configuration file.
+  @returns {Object} The component tree, as accepted by "analyze": the
+    "module" and "export" fields of components are replaced by the loaded
+    "component" itself.
+  @throws {Error} If the configuration or the modules cannot be loaded.
+*/
+function load(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const dir = path.dirname(path.resolve(file));
+  const components = {};
+  Object.keys(config.components || {}).forEach(name => {
+    let spec = config.components[name];
+    if (typeof spec === 'string') {
+      spec = {module: spec};
+    }
+    let exports;
+    try {
+      exports = require(path.resolve(dir, spec.module));
+    } catch(err) {
+      throw new Error(
+        `cannot load module "${spec.module}" for component "${name}": ` +
+        err.message
+      );
+    }
+    const component = findComponent(exports, name, spec.export);
+    if (typeof component !== 'function') {
+      throw new Error(
+        `cannot find component "${name}" in module "${spec.module}"`);
+    }
+    components[name] = {component: component, uses: spec.uses || {}};
+  });
+  return {components: components, reshapes: config.reshapes || []};
+}
+
+/**
+  Analyze the given component tree, checking that each parent provides what
+  is needed for building the shapes of its children, using "shapeup.diff".
+  The resulting report is an object with the following fields:
+    - valid: whether all reshapes can be satisfied;
+    - unsatisfiable: the reshapes that cannot be satisfied, each one
+      including the "from" and "to" endpoints, and the "missing" and
+      "mismatched" fields as reported by "shapeup.diff";
+    - unused: the props reshaped for children including fields that are not
+      passed to any child nor directly used by the component, each one
+      including the "prop" in the "Component.prop" format and the dotted
+      paths of the unused "fields". Props not reshaped for any child are not
+      reported, as they are expected to be used by the component itself.
+
+  @param {Object} tree The component tree, including:
+    - components: an object mapping component names to objects including the
+      "component" itself and the optional "uses" object, mapping the names of
+      the component props to the list of fields directly used by the
+      component;
+    - reshapes: a list of parent to child reshape relationships, each one
+      being an object with "from" and "to" fields in the "Component.prop"
+      format.
+  @returns {Object} The analysis report.
+  @throws {Error} If a reshape refers to undeclared components or props, or
+    to props that are not shapes.
+*/
+function analyze(tree) {
+  const unsatisfiable = [];
+  // Map parent props to the lists of fields not passed to each child.
+  const extras = new Map();
+  tree.reshapes.forEach(reshape => {
+    const source = propTypeOf(tree.components, reshape.from);
+    const target = propTypeOf(tree.components, reshape.to);
+    const result = shapeup.diff(source, target);
+    if (!result.compatible) {
+      unsatisfiable.push({
+        from: reshape.from,
+        to: reshape.to,
+        missing: result.missing,
+        mismatched: result.mismatched
+      });
+    }
+    if (!extras.has(reshape.from)) {
+      extras.set(reshape.from, []);
+    }
+    extras.get(reshape.from).push(result.extra.map(field => field.path));
+  });
+  const unused = [];
+  extras.forEach((lists, prop) => {
+    const used = usesOf(tree.components, prop);
+    const fields = unusedFields(lists).filter(field => {
+      return !used.some(usedField => {
+        return isWithin(field, usedField) || isWithin(usedField, field);
+      });
+    });
+    if (fields.length) {
+      unused.push({prop: prop, fields: fields});
+    }
+  });
+  return {
+    valid: !unsatisfiable.length,
+    unsatisfiable: unsatisfiable,
+    unused: unused
+  };
+}
+
+/**
+  Return the component included in the given module exports.
+
+  @param {Any} exports The module exports.
+  @param {String} name The component name.
+  @param {String} exportName The optional name of the component export.
+  @returns {Any} The component, or undefined if it is not found.
+*/
+function findComponent(exports, name, exportName) {
+  if (exportName) {
+    return exports[exportName];
+  }
+  if (typeof exports === 'function') {
+    return exports;
+  }
+  return exports.default || exports[name];
+}
+
+/**
+  Return the shape property type of the given component prop.
+
+  @param {Object} components The components in the tree.
+  @param {String} endpoint The prop, in the "Component.prop" format.
+  @returns {Function} The shape property type.
+  @throws {Error} If the component or the prop are not declared, or if the
+    prop is not a shape.
+*/
+function propTypeOf(components, endpoint) {
+  const parts = endpoint.split('.');
+  if (parts.length !== 2) {
+    throw new Error(
+      `invalid reshape endpoint "${endpoint}": use the "Component.prop" ` +
+      'format'
+    );
+  }
+  const name = parts[0];
+  const prop = parts[1];
+  if (!Object.prototype.hasOwnProperty.call(components, name)) {
+    throw new Error(
+      `invalid reshape endpoint "${endpoint}": the component "${name}" is ` +
+      'not declared'
+    );
+  }
+  const propTypes = components[name].component.propTypes || {};
+  const propType = propTypes[prop];
+  if (!propType) {
+    throw new Error(
+      `invalid reshape endpoint "${endpoint}": the property "${prop}" is ` +
+      `not declared by the component "${name}"`
+    );
+  }
+  if (shapeup.describe(propType).type !== 'shape') {
+    throw new Error(
+      `invalid reshape endpoint "${endpoint}": the property "${prop}" of ` +
+      `the component "${name}" is not a shape`
+    );
+  }
+  return propType;
+}
+
+/**
+  Return the fields of the given prop directly used by its component.
+
+  @param {Object} components The components in the tree.
+  @param {String} endpoint The prop, in the "Component.prop" format.
+  @returns {Array} The dotted paths of the used fields.
+*/
+function usesOf(components, endpoint) {
+  const parts = endpoint.split('.');
+  const uses = components[parts[0]].uses || {};
+  return uses[parts[1]] || [];
+}
+
+/**
+  Return the fields not passed to any child, given the lists of fields not
+  passed to each child. A field is not passed to a child when either the
+  field itself or one of its ancestors is not passed.
+
+  @param {Array} lists The lists of dotted field paths, one for each child.
+  @returns {Array} The dotted paths of the unused fields, excluding the
+    nested fields of other unused ones.
+*/
+function unusedFields(lists) {
+  const candidates = [];
+  lists.forEach(list => {
+    list.forEach(field => {
+      if (candidates.indexOf(field) === -1) {
+        candidates.push(field);
+      }
+    });
+  });
+  const unused = candidates.filter(field => {
+    return lists.every(list => {
+      return list.some(other => isWithin(field, other));
+    });
+  });
+  return unused.filter(field => {
+    return !unused.some(other => other !== field && isWithin(field, other));
+  });
+}
+
+/**
+  Report whether the given field is the given ancestor or one of its nested
+  fields.
+
+  @param {String} field The dotted path of the field.
+  @param {String} ancestor The dotted path of the ancestor.
+  @returns {Boolean} Whether the field is within the ancestor.
+*/
+function isWithin(field, ancestor) {
+  return field === ancestor || field.startsWith(`${ancestor}.`);
+}
+
+module.exports = {
+  analyze: analyze,
+  load: load
+};
@@ -0,0 +1,220 @@
+/* Copyright (C) 2017 Francesco Banconi */
+
+/**
+  This module generates TypeScript declarations from shapeup property types,
+  so that TypeScript interfaces do not need to be manually kept in sync with
+  shape declarations.
+  See also the "shapeup-typescript" command line tool.
+*/
+
+'use strict';
+
+const shapeup = require('./shapeup.js');
+
+/**
+  Generate TypeScript declarations for the shapeup property types exported by
+  a module.
+  An interface is generated for each exported shape, and a type alias for each
+  exported collection or union built with shapeup. Other exported values are
+  ignored. Nested shapes are inlined, unless they are exported as well, in
+  which case they are referenced by name. Fields of frozen shapes are declared
+  as deeply read-only, and "shapeup.reshapeFunc" fields are typed as generic
+  functions returning the reshaped object.
+
+  @param {Object} exports The module exports, mapping names to values.
+  @returns {String} The TypeScript declarations.
+*/
+function generate(exports) {
+  // Map exported property types, including their variants, to type names.
+  const names = new Map();
+  Object.keys(exports).forEach(name => {
+    const value = exports[name];
+    if (isShapeup(value)) {
+      variantsOf(value).forEach(variant => {
+        if (!names.has(variant)) {
+          names.set(variant, typeNameFor(name));
+        }
+      });
+    }
+  });
+  const context = {names: names, deepReadonly: false};
+  const declarations = [];
+  Object.keys(exports).forEach(name => {
+    const value = exports[name];
+    if (!isShapeup(value)) {
+      return;
+    }
+    const description = shapeup.describe(value);
+    const typeName = typeNameFor(name);
+    const frozen = description.frozen;
+    if (description.type === 'shape') {
+      const body = objectType(description, context, frozen, '');
+      declarations.push(`export interface ${typeName} ${body}`);
+      return;
+    }
+    const type = tsType(description, context, frozen, '', false);
+    declarations.push(`export type ${typeName} = ${type};`);
+  });
+  const lines = ['// Generated by shapeup-typescript: do not edit.'];
+  if (context.deepReadonly) {
+    lines.push(DEEP_READONLY);
+  }
+  return lines.concat(declarations).join('\n\n') + '\n';
+}
+
+/**
+  Return the TypeScript type for the given property type description.
+
+  @param {Object} description The description returned by "shapeup.describe".
+  @param {Object} context The generation context, including the names of
+    exported types.
+  @param {Boolean} readonly Whether the type must be deeply read-only.
+  @param {String} indent The current indentation.
+  @param {Boolean} named Whether exported types can be referenced by name.
+  @returns {String} The TypeScript type.
+*/
+function tsType(description, context, readonly, indent, named=true) {
+  readonly = readonly || description.frozen;
+  // Types wrapped by "shapeup.asValue" are referenced by the wrapped type.
+  const propType = description.value ?
+    description.propType[VALUE] : description.propType;
+  if (named && context.names.has(propType)) {
+    const name = context.names.get(propType);
+    if (readonly) {
+      context.deepReadonly = true;
+      return `DeepReadonly<${name}>`;
+    }
+    return name;
+  }
+  switch (description.type) {
+  case 'shape':
+    return objectType(description, context, readonly, indent);
+  case 'arrayOf': {
+    const items = tsType(description.items, context, readonly, indent);
+    return readonly ? `ReadonlyArray<${items}>` : `Array<${items}>`;
+  }
+  case 'objectOf': {
+    const items = tsType(description.items, context, readonly, indent);
+    const prefix = readonly ? 'readonly ' : '';
+    return `{${prefix}[key: string]: ${items}}`;
+  }
+  case 'oneOfType':
+    return description.types.map(type => {
+      return tsType(type, context, readonly, indent);
+    }).join(' | ');
+  case 'array':
+    return readonly ? 'ReadonlyArray<any>' : 'Array<any>';
+  case 'object':
+    return readonly ? '{readonly [key: string]: any}' : '{[key: string]: any}';
+  case 'func':
+    if (description.reshape) {
+      return '<T>(propType: any, options?: object) => T';
+    }
+    return '(...args: any[]) => any';
+  default:
+    return PRIMITIVES[description.type] || 'any';
+  }
+}
+
+/**
+  Return the TypeScript object type for the given shape description.
+
+  @param {Object} description The shape description.
+  @param {Object} context The generation context.
+  @param {Boolean} readonly Whether the type must be deeply read-only.
+  @param {String} indent The current indentation.
+  @returns {String} The TypeScript object type.
+*/
+function objectType(description, context, readonly, indent) {
+  const fields = description.fields.filter(field => {
+    // Symbol keyed fields cannot be represented.
+    return typeof field.name === 'string';
+  });
+  if (!fields.length) {
+    return '{}';
+  }
+  const inner = indent + '  ';
+  const lines = fields.map(field => {
+    const prefix = readonly ? 'readonly ' : '';
+    const optional = field.required ? '' : '?';
+    const type = tsType(field, context, readonly, inner);
+    return `${inner}${prefix}${propertyName(field.name)}${optional}: ${type};`;
+  });
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+  Return the given field name as a TypeScript property name, quoting it if
+  required.
+
+  @param {String} name The field name.
+  @returns {String} The property name.
+*/
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+  Return the TypeScript type name for the given exported name.
+
+  @param {String} name The exported name.
+  @returns {String} The type name, with the first letter capitalized.
+*/
+function typeNameFor(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+  Return the given shapeup property type and its frozen and required
+  variants, if available.
+
+  @param {Function} propType The property type.
+  @returns {Array} The property type variants.
+*/
+function variantsOf(propType) {
+  const variants = [propType, propType.isRequired];
+  if (propType.frozen) {
+    variants.push(propType.frozen, propType.frozen.isRequired);
+  }
+  return variants.filter(variant => typeof variant === 'function');
+}
+
+/**
+  Report whether the given value is a shape, collection or union built by
+  shapeup.
+
+  @param {Any} value The value to check.
+  @returns {Boolean} Whether the value is a shapeup property type.
+*/
+function isShapeup(value) {
+  return (
+    typeof value === 'function' &&
+    SHAPEUP_TYPES.indexOf(shapeup.describe(value).type) !== -1
+  );
+}
+
+// Define the property name for the type wrapped by "shapeup.asValue".
+const VALUE = '__value__';
+
+// Define the type names of property types built by shapeup.
+const SHAPEUP_TYPES = ['shape', 'arrayOf', 'objectOf', 'oneOfType'];
+
+// Map prop-types primitive names to TypeScript types.
+const PRIMITIVES = {
+  bigint: 'bigint',
+  bool: 'boolean',
+  null: 'null',
+  number: 'number',
+  string: 'string',
+  symbol: 'symbol'
+};
+
+// Define the helper type used for deeply read-only references.
+const DEEP_READONLY = `type DeepReadonly<T> =
+  T extends (...args: any[]) => any ? T :
+  T extends object ? {readonly [K in keyof T]: DeepReadonly<T[K]>} :
+  T;`;
+
+module.exports = {
+  generate: generate
+};